@@ -1,4 +1,161 @@
-export type Options = {
+export type WaitContext<ArgumentsType extends unknown[]> = {
+	/**
+	The arguments of the latest call.
+	*/
+	readonly arguments: ArgumentsType;
+
+	/**
+	The number of calls coalesced so far, including the latest call.
+	*/
+	readonly callCount: number;
+
+	/**
+	Milliseconds since the first call that was coalesced.
+	*/
+	readonly elapsed: number;
+};
+
+/**
+Milliseconds to wait, a function computing them for each call, or a mode that coalesces calls with minimal latency:
+
+- `'microtask'`: Coalesce all calls made in the same synchronous turn, and call `fn` in a microtask right after it.
+- `'frame'`: Coalesce all calls until the next [`requestAnimationFrame()`](https://developer.mozilla.org/en-US/docs/Web/API/Window/requestAnimationFrame) callback. Where it's not available, such as in Node.js, it waits 16 milliseconds instead.
+
+A function is called on every call, and the milliseconds it returns are waited from that call.
+
+@example
+```
+import pDebounce from 'p-debounce';
+
+const search = async query => query;
+
+// Long queries are more specific, so search them sooner
+const debouncedSearch = pDebounce(search, ({arguments: [query]}) => query.length > 5 ? 100 : 300);
+```
+*/
+export type Wait<ArgumentsType extends unknown[] = unknown[]> = number | 'microtask' | 'frame' | ((context: WaitContext<ArgumentsType>) => number);
+
+export type Clock = {
+	setTimeout(callback: () => void, milliseconds: number): unknown;
+	clearTimeout(timeoutId: unknown): void;
+	now(): number;
+};
+
+export type RetryOptions = {
+	/**
+	The maximum number of retries after the first attempt fails.
+
+	@default 3
+	*/
+	readonly retries?: number;
+
+	/**
+	Milliseconds to wait before the first retry.
+
+	@default 1000
+	*/
+	readonly minTimeout?: number;
+
+	/**
+	The maximum milliseconds to wait between retries.
+
+	@default Infinity
+	*/
+	readonly maxTimeout?: number;
+
+	/**
+	The factor the wait is multiplied by for each further retry.
+
+	@default 2
+	*/
+	readonly factor?: number;
+
+	/**
+	Wait a random duration between zero and the computed wait, so that many clients failing together don't retry at the same time.
+
+	@default true
+	*/
+	readonly jitter?: boolean;
+
+	/**
+	Decide whether to retry after a failed attempt, which is numbered from `1`. Returning `false`, or throwing, rejects the callers instead.
+
+	@default () => true
+	*/
+	readonly shouldRetry?: (error: unknown, attempt: number) => boolean | PromiseLike<boolean>;
+};
+
+/**
+The error a call is rejected with when it's dropped by `.cancel()`, an abort signal, or the `overflow` option of `pDebounce.promise()`, with the cancellation reason or the abort reason as its `cause`.
+
+@example
+```
+import pDebounce, {DebounceCancelledError} from 'p-debounce';
+
+try {
+	await debouncedSave(document);
+} catch (error) {
+	if (!(error instanceof DebounceCancelledError)) {
+		showSaveError(error);
+	}
+}
+```
+*/
+export class DebounceCancelledError extends Error {
+	readonly name: 'DebounceCancelledError';
+
+	constructor(message?: string, options?: ErrorOptions);
+}
+
+/**
+The error a call is rejected with when its arguments were discarded for those of a newer call, with the `superseded: 'reject'` option.
+*/
+export class SupersededError extends Error {
+	readonly name: 'SupersededError';
+
+	constructor(message?: string, options?: ErrorOptions);
+}
+
+/**
+The error a call is rejected with when the execution of `function_` takes longer than the `timeout` option of `pDebounce.promise()`.
+*/
+export class DebounceTimeoutError extends Error {
+	readonly name: 'DebounceTimeoutError';
+
+	constructor(message?: string, options?: ErrorOptions);
+}
+
+/**
+Hooks to observe the calls of a debounced function, for logging and metrics. Errors thrown by them are ignored, so they never affect the calls.
+*/
+export type LifecycleHooks<ArgumentsType extends unknown[] = unknown[], ReturnType = unknown> = {
+	/**
+	Called with the arguments of each call, once it's scheduled. Calls that are rejected right away, like when the signal is already aborted, are not reported.
+	*/
+	readonly onSchedule?: (event: {readonly arguments: ArgumentsType}) => void;
+
+	/**
+	Called after `onSchedule` when a call is coalesced with earlier calls, so that it doesn't get its own execution, with its arguments and the number of calls coalesced so far, including this one.
+	*/
+	readonly onCoalesce?: (event: {readonly arguments: ArgumentsType; readonly callCount: number}) => void;
+
+	/**
+	Called with the arguments the function is called with, each time it starts executing.
+	*/
+	readonly onExecute?: (event: {readonly arguments: ArgumentsType}) => void;
+
+	/**
+	Called each time an execution of the function settles, including its retries, with its outcome, how many milliseconds it took, and the number of calls it was executed for. More than one caller means that calls were coalesced.
+	*/
+	readonly onSettle?: (event: PromiseSettledResult<ReturnType> & {readonly duration: number; readonly callers: number}) => void;
+
+	/**
+	Called when pending calls are dropped by `.cancel()` or the `signal` option, with the reason and the number of calls dropped.
+	*/
+	readonly onCancel?: (event: {readonly reason: unknown; readonly callers: number}) => void;
+};
+
+export type Options<ArgumentsType extends unknown[] = unknown[], ReturnType = unknown> = {
 	/**
 	Call the `fn` on the [leading edge of the timeout](https://css-tricks.com/debouncing-throttling-explained-examples/#article-header-id-1). Meaning immediately, instead of waiting for `wait` milliseconds.
 
@@ -6,13 +163,193 @@ export type Options = {
 	*/
 	readonly before?: boolean;
 
+	/**
+	Also call the `fn` on the trailing edge of the timeout when `before` is `true`.
+
+	If more calls were made during the timeout after the leading call, `fn` is called once more with the latest arguments, and those calls resolve with its result instead of the leading result. If no further calls were made, `fn` is only called once.
+
+	Without `before`, `fn` is always called on the trailing edge, so this option has no effect.
+
+	@default false
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const save = async text => text;
+
+	// Saves immediately for instant feedback, then once more with the final text
+	const debouncedSave = pDebounce(save, 200, {before: true, after: true});
+	```
+	*/
+	readonly after?: boolean;
+
+	/**
+	The maximum number of milliseconds `fn` is allowed to be delayed before it's called, measured from the first call of a burst.
+
+	Without it, a steady stream of calls that are less than `wait` milliseconds apart would keep postponing `fn` forever. When `maxWait` is reached, `fn` is called and all pending calls are settled with its result. The next call starts a new burst.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const save = async text => text;
+
+	// Saves at most 1 second after the user started typing, even if they never pause
+	const debouncedSave = pDebounce(save, 200, {maxWait: 1000});
+	```
+	*/
+	readonly maxWait?: number;
+
+	/**
+	Merge the arguments of all calls since the last execution of `fn`, instead of only keeping the latest arguments.
+
+	It's called with the arguments accumulated so far and the arguments of the new call, and should return the arguments to use. The accumulated arguments are reset when `fn` is called, and when pending calls are aborted or cancelled, so arguments are never passed to `fn` twice, even if it fails. With `before`, the leading call uses its own arguments, and only later calls are accumulated for the trailing edge.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const saveChanges = async changedIds => changedIds;
+
+	const debouncedSave = pDebounce(saveChanges, 200, {
+		accumulate: ([previousIds], [nextIds]) => [[...previousIds, ...nextIds]],
+	});
+
+	debouncedSave([1]);
+	debouncedSave([2, 3]);
+	//=> saveChanges([1, 2, 3])
+	```
+	*/
+	readonly accumulate?: (previousArguments: ArgumentsType, nextArguments: ArgumentsType) => ArgumentsType;
+
+	/**
+	Pass an `AbortSignal` to `fn` as an extra last argument, which is aborted as soon as a newer execution of `fn` starts, or when the debounced function is cancelled with `.cancel()` or the `signal` option.
+
+	This lets stale work, like a superseded HTTP request, actually stop. Callers of the superseded execution are settled with whatever `fn` does when its signal is aborted, usually rejecting with an `AbortError`.
+
+	@default false
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const search = async (query, signal) => {
+		const response = await fetch(`/search?q=${query}`, {signal});
+		return response.json();
+	};
+
+	const debouncedSearch = pDebounce(search, 200, {abortPrevious: true});
+	```
+	*/
+	readonly abortPrevious?: boolean;
+
+	/**
+	Never settle calls with an older result than one already started.
+
+	By default, each execution of `fn` settles its own callers, so when executions overlap, a slow older execution can settle after a newer one, and its callers get older data than the callers of the newer one. With `'latest'`, when a newer execution has started, the callers of an older execution are settled with the outcome of the latest execution instead, waiting for it if needed. With the `superseded` option set to `'reject'` or `'undefined'`, they are rejected with a `SupersededError` or resolved with `undefined` instead.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const debouncedSearch = pDebounce(search, 200, {resolveOrder: 'latest'});
+
+	const results1 = debouncedSearch('a');
+	await delay(300); // The search for `'a'` is slow and still running
+	const results2 = debouncedSearch('ab');
+
+	// Both resolve with the results for `'ab'`
+	```
+	*/
+	readonly resolveOrder?: 'latest';
+
+	/**
+	Never run `fn` while a previous execution of it is still running.
+
+	When the wait is over while `fn` is running, the call is deferred until the running execution settles, and then `fn` is called with the latest arguments, including those of calls made in the meantime. With the `before` option, a leading call made while `fn` is running is deferred the same way.
+
+	This combines the time-based debouncing of `pDebounce()` with the no-overlap guarantee of `pDebounce.promise()`, which is useful for things like autosave.
+
+	@default false
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const debouncedSave = pDebounce(saveDocument, 1000, {serial: true});
+	```
+	*/
+	readonly serial?: boolean;
+
+	/**
+	Retry failed executions of `fn`, with exponential backoff. A number is the maximum number of retries, with the default of the other `RetryOptions`.
+
+	The callers are only rejected once the retries are exhausted. A newer call made while a failed execution waits to be retried supersedes it, so it's not retried with outdated arguments, and its callers are settled along with the newer call instead. With the `accumulate` option, the newer call runs with the arguments of the failed execution accumulated into its own. Retries are stopped by the `signal` option and `.cancel()`. The debounced function is running while it waits to retry.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const debouncedSave = pDebounce(saveDocument, 1000, {
+		retry: {
+			retries: 5,
+			shouldRetry: error => error.name !== 'ValidationError',
+		},
+	});
+	```
+	*/
+	readonly retry?: number | RetryOptions;
+
+	/**
+	The clock used to schedule timers, instead of the global `setTimeout()`, `clearTimeout()`, and `Date.now()`.
+
+	This is mainly useful for testing with virtual time. See [`p-debounce/testing`](https://github.com/sindresorhus/p-debounce#testing).
+	*/
+	readonly clock?: Clock;
+
 	/**
 	An `AbortSignal` to cancel the debounced function.
+
+	Pending calls are rejected with a `DebounceCancelledError` with the abort reason as its cause.
 	*/
 	readonly signal?: AbortSignal;
-};
 
-export type PromiseOptions = {
+	/**
+	How to settle the callers whose arguments were discarded for those of a newer call, which happens to all but the latest call of a burst unless the `accumulate` option is used. With the `before` option and without `after`, the calls after the leading one are discarded too.
+
+	- `'share'`: Settle them with the result of the execution for the newer call.
+	- `'reject'`: Reject them with a `SupersededError` right away.
+	- `'undefined'`: Resolve them with `undefined` right away.
+
+	@default 'share'
+
+	@example
+	```
+	import pDebounce, {SupersededError} from 'p-debounce';
+
+	const debouncedValidate = pDebounce(validateUsername, 300, {superseded: 'reject'});
+
+	try {
+		showValidation(await debouncedValidate(username));
+	} catch (error) {
+		if (!(error instanceof SupersededError)) {
+			throw error;
+		}
+	}
+	```
+	*/
+	readonly superseded?: 'share' | 'reject' | 'undefined';
+
+	/**
+	Resolve the calls dropped by `.cancel()` with this value instead of rejecting them.
+
+	The option is used when it's present, even if it's `undefined`.
+	*/
+	readonly cancelValue?: unknown;
+} & LifecycleHooks<ArgumentsType, ReturnType>;
+
+export type PromiseOptions<ArgumentsType extends unknown[] = unknown[], ReturnType = unknown> = {
 	/**
 	If a call is made while a previous call is still running, queue the latest arguments and run the function again after the current execution completes.
 
@@ -43,14 +380,475 @@ export type PromiseOptions = {
 	```
 	*/
 	readonly after?: boolean;
+
+	/**
+	Merge the arguments of all calls queued by the `after` option, instead of only keeping the latest arguments.
+
+	It's called with the arguments accumulated so far and the arguments of the new call, and should return the arguments to use. The accumulated arguments are reset when the queued call starts executing, and when it's cancelled. The arguments of the running execution are not included.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const saveChanges = async changedIds => changedIds;
+
+	const debouncedSave = pDebounce.promise(saveChanges, {
+		after: true,
+		accumulate: ([previousIds], [nextIds]) => [[...previousIds, ...nextIds]],
+	});
+
+	debouncedSave([1]);
+	debouncedSave([2]);
+	debouncedSave([3]);
+	//=> saveChanges([1])
+	//=> saveChanges([2, 3])
+	```
+	*/
+	readonly accumulate?: (previousArguments: ArgumentsType, nextArguments: ArgumentsType) => ArgumentsType;
+
+	/**
+	With `'queue'`, every call is executed one after another, with its own arguments and `this`, and each caller gets the result of its own call, instead of sharing the running execution. It's useful for ordered side effects, like append-only writes. With the `key` option, there's a queue per key.
+
+	It cannot be used with the `after` option.
+
+	@example
+	```
+	import fs from 'node:fs/promises';
+	import pDebounce from 'p-debounce';
+
+	const appendEntry = pDebounce.promise(async entry => {
+		await fs.appendFile('log.txt', `${entry}\n`);
+		return entry;
+	}, {mode: 'queue'});
+
+	appendEntry('a');
+	appendEntry('b');
+	//=> Appends 'a', then 'b'
+	```
+	*/
+	readonly mode?: 'queue';
+
+	/**
+	The maximum number of calls waiting for the running execution with `mode: 'queue'`. A call made when the queue is full is handled by the `overflow` option.
+
+	@default Infinity
+	*/
+	readonly maxQueueSize?: number;
+
+	/**
+	What to do with a call made when the queue of `mode: 'queue'` is full.
+
+	- `'rejectNewest'`: Reject the new call with a `DebounceCancelledError`.
+	- `'dropOldest'`: Reject the call that has waited the longest with a `DebounceCancelledError`, and queue the new call.
+	- `'collapse'`: Give the last queued call the arguments and `this` of the new call, or with the `accumulate` option, merge them. The callers of the last queued call are settled according to the `superseded` option.
+
+	@default 'rejectNewest'
+	*/
+	readonly overflow?: 'rejectNewest' | 'dropOldest' | 'collapse';
+
+	/**
+	Milliseconds to wait after an execution settles before `function_` is executed again, so a burst of calls doesn't run back-to-back executions.
+
+	Calls made during the cooldown are coalesced into the next run, which starts when the cooldown is over, and all their callers get its result. Calls made while `function_` is running still share its result, unless the `after` option or `mode: 'queue'` is used, in which case the queued calls also wait for the cooldown.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const refresh = pDebounce.promise(fetchDashboard, {cooldown: 1000});
+
+	await refresh();
+	refresh(); // Waits for the cooldown
+	refresh(); // Shares the result of the same run
+	```
+	*/
+	readonly cooldown?: number;
+
+	/**
+	Resolve calls right away with the last value `function_` fulfilled with, if any, while `function_` is executed again in the background to refresh it. There's at most one refresh at a time, and calls made during it are served the same value.
+
+	The first call, and calls after `.invalidate()`, wait for `function_` as usual. With the `key` option, there's a value per key. A fresh result cached by the `cacheFor` option is served first.
+
+	A failed refresh doesn't reject the callers that were served the last value. It's reported to the `onRevalidateError` option, and to `.lastResult`.
+
+	It cannot be used with `mode: 'queue'`.
+
+	@default false
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const getStats = pDebounce.promise(fetchStats, {
+		staleWhileRevalidate: true,
+		onRevalidate: stats => renderDashboard(stats),
+		onRevalidateError: error => console.warn('Refresh failed', error),
+	});
+
+	renderDashboard(await getStats()); // Waits for the first result
+	renderDashboard(await getStats()); // Right away, and refreshes in the background
+	```
+	*/
+	readonly staleWhileRevalidate?: boolean;
+
+	/**
+	Called with the value of each refresh with the `staleWhileRevalidate` option that fulfilled.
+	*/
+	readonly onRevalidate?: (value: ReturnType) => void;
+
+	/**
+	Called with the error of each refresh with the `staleWhileRevalidate` option that failed.
+
+	Errors thrown by `onRevalidate` and `onRevalidateError` are ignored, so they never affect the calls.
+	*/
+	readonly onRevalidateError?: (error: unknown) => void;
+
+	/**
+	Retry failed executions of `function_`, with exponential backoff. A number is the maximum number of retries, with the default of the other `RetryOptions`.
+
+	The callers are only rejected once the retries are exhausted. A call queued by the `after` option while a failed execution waits to be retried supersedes it, so it's not retried with outdated arguments, and its callers are settled along with the queued call instead. With the `accumulate` option, the queued call runs with the arguments of the failed execution accumulated into its own. Retries are stopped by `.cancel()`.
+	*/
+	readonly retry?: number | RetryOptions;
+
+	/**
+	Only share a running execution, queued call, and cached result between calls for the same key, so calls for different keys run independently.
+
+	With `true`, the key is a serialization of the arguments, where the order of object properties does not matter. It supports primitive values, arrays, plain objects, `Map`, `Set`, and `Date`, and the call is rejected with a `TypeError` for other values, like functions and class instances. With a function, the key is what it returns for the arguments of a call.
+
+	Without this option, all calls share them, whatever their arguments.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const loadUser = pDebounce.promise(fetchUser, {key: true});
+
+	await Promise.all([
+		loadUser('alice'),
+		loadUser('alice'), // Shares the execution of the first call
+		loadUser('bob'), // Runs independently
+	]);
+	```
+	*/
+	readonly key?: true | ((...arguments: ArgumentsType) => unknown);
+
+	/**
+	Milliseconds to keep serving the result of the latest execution to new calls after it settles, instead of calling `function_` again.
+
+	Useful for things like config and token fetches. Use `.invalidate()` to discard the cached result sooner.
+
+	@default 0
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const getToken = pDebounce.promise(fetchToken, {cacheFor: 60_000});
+
+	await getToken();
+	await getToken(); // Served from the cache
+	```
+	*/
+	readonly cacheFor?: number;
+
+	/**
+	Milliseconds to keep serving the rejection of the latest execution to new calls after it settles. It's separate from `cacheFor`, so failures can be retried sooner than successes expire.
+
+	@default 0
+	*/
+	readonly cacheRejectionsFor?: number;
+
+	/**
+	Milliseconds after which an execution of `function_` that has not settled is considered stuck. Its callers are rejected with a `DebounceTimeoutError`, and later calls don't wait for it anymore. With the `passSignal` option, the signal passed to `function_` is aborted with the `DebounceTimeoutError`.
+
+	With the `retry` option, the timeout applies to each attempt.
+	*/
+	readonly timeout?: number;
+
+	/**
+	The clock used for the timers of the `cacheFor`, `cacheRejectionsFor`, `timeout`, `cooldown`, and `retry` options, instead of the global `setTimeout()`, `clearTimeout()`, and `Date.now()`.
+
+	This is mainly useful for testing with virtual time. See [`p-debounce/testing`](https://github.com/sindresorhus/p-debounce#testing).
+	*/
+	readonly clock?: Clock;
+
+	/**
+	An `AbortSignal` to cancel the debounced function.
+
+	Aborting it rejects the callers of the running executions and the queued calls with a `DebounceCancelledError` with the abort reason as its cause, and later calls right away. With the `passSignal` option, `function_` is told to stop its work.
+	*/
+	readonly signal?: AbortSignal;
+
+	/**
+	Pass an `AbortSignal` to `function_` as an extra last argument, so it can stop its work when its callers are not waiting for it anymore. It's aborted when the execution times out with the `timeout` option, or when the `signal` option is aborted.
+
+	Parameters with default values are not a good fit, since the signal takes the place of the first argument that's left out.
+
+	@default false
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const controller = new AbortController();
+
+	const loadData = pDebounce.promise(async (url, signal) => {
+		const response = await fetch(url, {signal});
+		return response.json();
+	}, {passSignal: true, signal: controller.signal, timeout: 10_000});
+	```
+	*/
+	readonly passSignal?: boolean;
+
+	/**
+	How to settle the callers of a call queued by the `after` option, or collapsed by `overflow: 'collapse'`, that was replaced by a newer call, unless the `accumulate` option is used.
+
+	- `'share'`: Settle them with the result of the execution for the newer call.
+	- `'reject'`: Reject them with a `SupersededError` right away.
+	- `'undefined'`: Resolve them with `undefined` right away.
+
+	@default 'share'
+	*/
+	readonly superseded?: 'share' | 'reject' | 'undefined';
+
+	/**
+	Resolve the callers dropped by `.cancel()` with this value instead of rejecting them.
+
+	The option is used when it's present, even if it's `undefined`.
+	*/
+	readonly cancelValue?: unknown;
+} & LifecycleHooks<ArgumentsType, ReturnType>;
+
+export type DebouncedFunction<This, ArgumentsType extends unknown[], ReturnType> = {
+	(this: This, ...arguments: ArgumentsType): Promise<ReturnType>;
+
+	/**
+	Whether a call is scheduled and waiting for `wait` to elapse.
+	*/
+	readonly isPending: boolean;
+
+	/**
+	Whether `fn` is currently executing.
+	*/
+	readonly isRunning: boolean;
+
+	/**
+	The number of calls whose promise has not settled yet.
+	*/
+	readonly pendingCallers: number;
+
+	/**
+	The outcome of the last execution of `fn` that settled, in the same shape as [`Promise.allSettled()`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/allSettled) results, or `undefined` if no execution has settled yet.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const save = async text => text;
+
+	const debouncedSave = pDebounce(save, 1000);
+
+	const renderStatus = () => {
+		if (debouncedSave.isPending) {
+			return 'Unsaved changes';
+		}
+
+		if (debouncedSave.isRunning) {
+			return 'Saving…';
+		}
+
+		return debouncedSave.lastResult?.status === 'rejected' ? 'Failed to save' : 'Saved';
+	};
+	```
+	*/
+	readonly lastResult: PromiseSettledResult<ReturnType> | undefined;
+
+	/**
+	Get a function that makes calls like the debounced function, but with their own `AbortSignal`.
+
+	Aborting the signal rejects only the calls made with it, with a `DebounceCancelledError` with the abort reason as its cause, and removes them from the pending batch, along with their arguments. If no other calls are waiting, the pending call is dropped, so `fn` is not called.
+
+	This works alongside the `signal` option, which cancels all calls.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const search = async query => query;
+
+	const debouncedSearch = pDebounce(search, 200);
+
+	const controller = new AbortController();
+	const promise = debouncedSearch.withSignal(controller.signal)('unicorn');
+
+	// The component unmounted
+	controller.abort();
+	```
+	*/
+	withSignal(signal: AbortSignal): (this: This, ...arguments: ArgumentsType) => Promise<ReturnType>;
+
+	/**
+	Immediately execute the pending call, instead of waiting for the rest of `wait`.
+
+	All pending calls are settled with the result.
+
+	@returns A promise for the result, or a promise resolving to `undefined` if nothing is pending.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const save = async text => text;
+
+	const debouncedSave = pDebounce(save, 1000);
+
+	debouncedSave('draft');
+
+	// Save right away when the input loses focus
+	input.addEventListener('blur', async () => {
+		await debouncedSave.flush();
+	});
+	```
+	*/
+	flush(): Promise<ReturnType | undefined>;
+
+	/**
+	Cancel the pending call, without waiting for `wait`.
+
+	All pending calls are rejected with a `DebounceCancelledError` with `reason` as its cause, or resolved with the `cancelValue` option if it's set. Executions of `fn` that already started are not affected, except that failed ones are not retried anymore with the `retry` option. The debounced function can still be used afterwards.
+
+	@param reason - The cause of the `DebounceCancelledError` the calls are rejected with. Default: An `AbortError`.
+	*/
+	cancel(reason?: unknown): void;
+};
+
+export type KeyedOptions<ArgumentsType extends unknown[], ReturnType = unknown> = {
+	/**
+	Get the key of a call from its arguments. Calls with the same key are debounced together, while calls with different keys are debounced independently.
+
+	Keys are compared like `Map` keys.
+
+	@default The first argument
+	*/
+	readonly key?: (...arguments: ArgumentsType) => unknown;
+} & Options<ArgumentsType, ReturnType>;
+
+export type KeyedDebouncedFunction<This, ArgumentsType extends unknown[], ReturnType> = {
+	(this: This, ...arguments: ArgumentsType): Promise<ReturnType>;
+
+	/**
+	The number of keys that currently have a pending, running, or waiting call.
+
+	Keys are removed as soon as they are idle.
+	*/
+	readonly size: number;
+
+	/**
+	Get a function that makes calls like the debounced function, but with their own `AbortSignal`. See `DebouncedFunction#withSignal()`.
+	*/
+	withSignal(signal: AbortSignal): (this: This, ...arguments: ArgumentsType) => Promise<ReturnType>;
+
+	/**
+	Immediately execute the pending call for `key`, instead of waiting for the rest of `wait`.
+
+	@returns A promise for the result, or a promise resolving to `undefined` if nothing is pending for `key`.
+	*/
+	flush(key: unknown): Promise<ReturnType | undefined>;
+
+	/**
+	Cancel the pending call for `key`, without waiting for `wait`.
+
+	@param reason - The cause of the `DebounceCancelledError` the calls are rejected with. Default: An `AbortError`.
+	*/
+	cancel(key: unknown, reason?: unknown): void;
+};
+
+/**
+The other options of `pDebounce()` are not supported, and throw a `TypeError`.
+*/
+export type BatchOptions = {
+	/**
+	The maximum number of calls in a batch. When it's reached, `fn` is called right away instead of waiting for `wait`.
+
+	@default Infinity
+	*/
+	readonly maxBatchSize?: number;
+
+	/**
+	The clock used to schedule timers, instead of the global `setTimeout()`, `clearTimeout()`, and `Date.now()`.
+
+	This is mainly useful for testing with virtual time. See [`p-debounce/testing`](https://github.com/sindresorhus/p-debounce#testing).
+	*/
+	readonly clock?: Clock;
+
+	/**
+	An `AbortSignal` to cancel the pending batch.
+
+	Its calls are rejected with a `DebounceCancelledError` with the abort reason as its cause.
+	*/
+	readonly signal?: AbortSignal;
+};
+
+/**
+The results of a batch, either as an array with one entry per call, in call order, or as a `Map` from the first argument of each call to its result.
+
+An `Error` entry rejects only its own call.
+*/
+export type BatchResults<ReturnType> = ReadonlyArray<ReturnType | Error> | ReadonlyMap<unknown, ReturnType | Error>;
+
+export type DebouncedPromiseFunction<This, ArgumentsType extends unknown[], ReturnType> = {
+	(this: This, ...arguments: ArgumentsType): Promise<ReturnType>;
+
+	/**
+	Whether a call is queued by the `after` option, `mode: 'queue'`, or the `cooldown` option and waiting for the running execution or the cooldown to complete, for any key with the `key` option.
+	*/
+	readonly isPending: boolean;
+
+	/**
+	Whether `function_` is currently executing, for any key with the `key` option.
+	*/
+	readonly isRunning: boolean;
+
+	/**
+	The number of calls whose promise has not settled yet.
+	*/
+	readonly pendingCallers: number;
+
+	/**
+	The outcome of the last execution of `function_` that settled, in the same shape as [`Promise.allSettled()`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/allSettled) results, or `undefined` if no execution has settled yet.
+	*/
+	readonly lastResult: PromiseSettledResult<ReturnType> | undefined;
+
+	/**
+	Discard the calls queued by the `after` option, `mode: 'queue'`, or the `cooldown` option, for all keys with the `key` option.
+
+	Its callers are rejected with a `DebounceCancelledError` with `reason` as its cause, or resolved with the `cancelValue` option if it's set. The running execution is not affected, except that it's not retried anymore with the `retry` option, and its callers are settled the same way. The debounced function can still be used afterwards.
+
+	@param reason - The cause of the `DebounceCancelledError` the calls are rejected with. Default: An `AbortError`.
+	*/
+	cancel(reason?: unknown): void;
+
+	/**
+	Discard the result cached by the `cacheFor` and `cacheRejectionsFor` options, and the value served by the `staleWhileRevalidate` option, for all keys with the `key` option, so the next call executes `function_` again. A running execution is not affected, and its result is cached when it settles.
+	*/
+	invalidate(): void;
 };
 
 declare const pDebounce: {
+	/**
+	[Debounce](https://css-tricks.com/debouncing-throttling-explained-examples/) promise-returning & async functions, passing an `AbortSignal` to `fn` as an extra last argument, which is aborted when the execution is superseded. See the `abortPrevious` option.
+	*/
+	<This, ArgumentsType extends unknown[], ReturnType>(
+		fn: (this: This, ...arguments: [...ArgumentsType, AbortSignal]) => PromiseLike<ReturnType> | ReturnType,
+		wait: Wait<ArgumentsType>,
+		options: Options<ArgumentsType, ReturnType> & {readonly abortPrevious: true}
+	): DebouncedFunction<This, ArgumentsType, ReturnType>;
+
 	/**
 	[Debounce](https://css-tricks.com/debouncing-throttling-explained-examples/) promise-returning & async functions.
 
 	@param fn - Promise-returning/async function to debounce.
-	@param wait - Milliseconds to wait before calling `fn`.
+	@param wait - Milliseconds to wait before calling `fn`, a function computing them for each call, or `'microtask'` or `'frame'` to coalesce calls until the end of the current synchronous turn or until the next animation frame.
 	@returns A function that delays calling `fn` until after `wait` milliseconds have elapsed since the last time it was called.
 
 	@example
@@ -73,10 +871,80 @@ declare const pDebounce: {
 	*/
 	<This, ArgumentsType extends unknown[], ReturnType>(
 		fn: (this: This, ...arguments: ArgumentsType) => PromiseLike<ReturnType> | ReturnType,
-		wait: number,
-		options?: Options
+		wait: Wait<ArgumentsType>,
+		options?: Options<ArgumentsType, ReturnType>
+	): DebouncedFunction<This, ArgumentsType, ReturnType>;
+
+	/**
+	Debounce calls separately per key, so that calls for one key never settle with the result for another key.
+
+	@param fn - Promise-returning/async function to debounce.
+	@param wait - Milliseconds to wait before calling `fn`, a function computing them for each call, or `'microtask'` or `'frame'` to coalesce calls until the end of the current synchronous turn or until the next animation frame.
+	@returns A function that delays calling `fn` until after `wait` milliseconds have elapsed since the last time it was called with the same key.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const saveDocument = async (id, content) => {
+		console.log(`Saved ${id}: ${content}`);
+	};
+
+	const debouncedSave = pDebounce.keyed(saveDocument, 200);
+
+	debouncedSave('a', 'Hello');
+	debouncedSave('b', 'Hi');
+	debouncedSave('a', 'Hello world');
+	//=> Saved a: Hello world
+	//=> Saved b: Hi
+	```
+	*/
+	keyed<This, ArgumentsType extends unknown[], ReturnType>(
+		fn: (this: This, ...arguments: ArgumentsType) => PromiseLike<ReturnType> | ReturnType,
+		wait: Wait<ArgumentsType>,
+		options?: KeyedOptions<ArgumentsType, ReturnType>
+	): KeyedDebouncedFunction<This, ArgumentsType, ReturnType>;
+
+	/**
+	Collect the arguments of every call made during `wait` and pass them all to `fn` in a single call, [DataLoader](https://github.com/graphql/dataloader)-style.
+
+	@param fn - Promise-returning/async function that receives an array with the arguments of each call, and returns the results as an array with one entry per call, in call order, or as a `Map` from the first argument of each call to its result.
+	@param wait - Milliseconds to wait for more calls before calling `fn`, a function computing them for each call, or `'microtask'` or `'frame'` to coalesce calls until the end of the current synchronous turn or until the next animation frame.
+	@returns A function whose calls each resolve with their own result.
+
+	@example
+	```
+	import pDebounce from 'p-debounce';
+
+	const getUsers = async argumentsList => {
+		const ids = argumentsList.map(([id]) => id);
+		console.log(`Fetching ${ids}`);
+		return ids.map(id => ({id}));
+	};
+
+	const getUser = pDebounce.batch(getUsers, 10);
+
+	const [user1, user2] = await Promise.all([getUser(1), getUser(2)]);
+	//=> Fetching 1,2
+
+	console.log(user1);
+	//=> {id: 1}
+	```
+	*/
+	batch<This, ArgumentsType extends unknown[], ReturnType>(
+		fn: (this: This, argumentsList: ArgumentsType[]) => PromiseLike<BatchResults<ReturnType>> | BatchResults<ReturnType>,
+		wait: Wait<ArgumentsType>,
+		options?: BatchOptions
 	): (this: This, ...arguments: ArgumentsType) => Promise<ReturnType>;
 
+	/**
+	Execute `function_` unless a previous call is still pending, passing it an `AbortSignal` as an extra last argument, which is aborted when its callers are not waiting for it anymore. See the `passSignal` option.
+	*/
+	promise<This, ArgumentsType extends unknown[], ReturnType>(
+		function_: (this: This, ...arguments: [...ArgumentsType, AbortSignal]) => PromiseLike<ReturnType> | ReturnType,
+		options: PromiseOptions<ArgumentsType, ReturnType> & {readonly passSignal: true}
+	): DebouncedPromiseFunction<This, ArgumentsType, ReturnType>;
+
 	/**
 	Execute `function_` unless a previous call is still pending, in which case, return the pending promise. Useful, for example, to avoid processing extra button clicks if the previous one is not complete.
 
@@ -106,8 +974,8 @@ declare const pDebounce: {
 	*/
 	promise<This, ArgumentsType extends unknown[], ReturnType>(
 		function_: (this: This, ...arguments: ArgumentsType) => PromiseLike<ReturnType> | ReturnType,
-		options?: PromiseOptions
-	): (this: This, ...arguments: ArgumentsType) => Promise<ReturnType>;
+		options?: PromiseOptions<ArgumentsType, ReturnType>
+	): DebouncedPromiseFunction<This, ArgumentsType, ReturnType>;
 };
 
 export default pDebounce;
@@ -1,24 +1,951 @@
-const pDebounce = (functionToDebounce, wait, options = {}) => {
-	if (!Number.isFinite(wait)) {
-		throw new TypeError('Expected `wait` to be a finite number');
+export class DebounceCancelledError extends Error {
+	constructor(message = 'The call was cancelled', options) {
+		super(message, options);
+		this.name = 'DebounceCancelledError';
 	}
+}
+
+export class SupersededError extends Error {
+	constructor(message = 'The call was superseded by a newer call', options) {
+		super(message, options);
+		this.name = 'SupersededError';
+	}
+}
+
+export class DebounceTimeoutError extends Error {
+	constructor(message = 'The call timed out', options) {
+		super(message, options);
+		this.name = 'DebounceTimeoutError';
+	}
+}
+
+const createAbortError = () => new DOMException('This operation was aborted', 'AbortError');
+
+// The error for a call dropped by `.cancel()` or an abort signal, with the reason as its cause
+const createCancelledError = reason => new DebounceCancelledError(undefined, {cause: reason});
+
+// Settle the handlers of dropped calls, resolving with `cancelValue` if the user opted into it
+const settleCancelled = (handlers, reason, options) => {
+	for (const {resolve, reject} of handlers) {
+		if (Object.hasOwn(options, 'cancelValue')) {
+			resolve(options.cancelValue);
+		} else {
+			reject(createCancelledError(reason));
+		}
+	}
+};
+
+const isSharingSuperseded = options => (options.superseded ?? 'share') === 'share';
+
+// Settle the callers whose arguments were discarded for those of a newer call, according to the `superseded` option
+const settleSuperseded = (handlers, options) => {
+	for (const {resolve, reject} of handlers) {
+		if (options.superseded === 'undefined') {
+			resolve(undefined);
+		} else {
+			reject(new SupersededError());
+		}
+	}
+};
+
+// Settle handlers with an outcome, where `'cancelled'` and `'superseded'` ones settle them like dropped and superseded calls
+const settleHandlers = (handlers, {status, value, reason}, options) => {
+	if (status === 'cancelled') {
+		settleCancelled(handlers, reason, options);
+		return;
+	}
+
+	if (status === 'superseded') {
+		settleSuperseded(handlers, options);
+		return;
+	}
+
+	for (const {resolve, reject} of handlers) {
+		if (status === 'fulfilled') {
+			resolve(value);
+		} else {
+			reject(reason);
+		}
+	}
+};
+
+const hookNames = ['onSchedule', 'onCoalesce', 'onExecute', 'onSettle', 'onCancel'];
+
+const validateHooks = options => {
+	for (const name of hookNames) {
+		if (options[name] !== undefined && typeof options[name] !== 'function') {
+			throw new TypeError(`Expected \`${name}\` to be a function`);
+		}
+	}
+};
+
+// Call a lifecycle hook or a notification callback, ignoring what it throws, so observing a debounced function never changes how its calls settle or crashes the process
+const callHook = (hook, event) => {
+	try {
+		hook?.(event);
+	} catch {
+		// Hooks are only for observability
+	}
+};
+
+const validateSuperseded = superseded => {
+	if (superseded !== undefined && !['share', 'reject', 'undefined'].includes(superseded)) {
+		throw new TypeError('Expected `superseded` to be `\'share\'`, `\'reject\'`, or `\'undefined\'`');
+	}
+};
+
+const defaultClock = {
+	setTimeout: (callback, milliseconds) => setTimeout(callback, milliseconds),
+	clearTimeout: timeoutId => clearTimeout(timeoutId),
+	now: () => Date.now(),
+};
+
+const validateClock = clock => {
+	if (clock !== undefined && !['setTimeout', 'clearTimeout', 'now'].every(method => typeof clock?.[method] === 'function')) {
+		throw new TypeError('Expected `clock` to have `setTimeout`, `clearTimeout`, and `now` methods');
+	}
+};
+
+// Without `requestAnimationFrame()`, such as in Node.js, `'frame'` waits for about one frame at 60 FPS
+const frameFallbackWait = 16;
+
+// Schedule the end of `wait`, which is a number of milliseconds (or a function computing them for each call), the end of the current synchronous turn (`'microtask'`), or the next animation frame (`'frame'`)
+const createWaitScheduler = (wait, clock) => {
+	if (wait === 'microtask') {
+		return {
+			schedule(callback) {
+				// Microtasks cannot be cancelled, so cancelled ones are skipped instead
+				const handle = {isCancelled: false};
+
+				queueMicrotask(() => {
+					if (!handle.isCancelled) {
+						callback();
+					}
+				});
+
+				return handle;
+			},
+			cancel(handle) {
+				if (handle) {
+					handle.isCancelled = true;
+				}
+			},
+		};
+	}
+
+	if (wait === 'frame' && typeof globalThis.requestAnimationFrame === 'function') {
+		return {
+			schedule: callback => globalThis.requestAnimationFrame(() => callback()),
+			cancel: handle => globalThis.cancelAnimationFrame(handle),
+		};
+	}
+
+	const milliseconds = wait === 'frame' ? frameFallbackWait : wait;
+
+	return {
+		// With a `wait` function, the milliseconds computed for the call are passed in
+		schedule: (callback, callWait = milliseconds) => clock.setTimeout(() => callback(), callWait),
+		cancel: handle => clock.clearTimeout(handle),
+	};
+};
+
+// Compute the milliseconds to wait for a call when `wait` is a function, from the call and the burst of calls it joins
+const getCallWait = (wait, clock, burst, arguments_) => {
+	if (typeof wait !== 'function') {
+		return undefined;
+	}
+
+	const milliseconds = wait({
+		arguments: arguments_,
+		callCount: (burst?.callCount ?? 0) + 1,
+		elapsed: burst ? clock.now() - burst.startTime : 0,
+	});
+
+	if (!Number.isFinite(milliseconds)) {
+		throw new TypeError('Expected the `wait` function to return a finite number');
+	}
+
+	return milliseconds;
+};
+
+// Validate the `retry` option, and fill in the defaults of its object form
+const normalizeRetry = retry => {
+	if (retry === undefined) {
+		return undefined;
+	}
+
+	const {
+		retries = 3,
+		minTimeout = 1000,
+		maxTimeout = Number.POSITIVE_INFINITY,
+		factor = 2,
+		jitter = true,
+		shouldRetry = () => true,
+	} = typeof retry === 'number' ? {retries: retry} : retry;
+
+	if (!Number.isInteger(retries) || retries < 0) {
+		throw new TypeError('Expected `retry.retries` to be a non-negative integer');
+	}
+
+	if (!Number.isFinite(minTimeout) || minTimeout < 0) {
+		throw new TypeError('Expected `retry.minTimeout` to be a non-negative finite number');
+	}
+
+	if (Number.isNaN(maxTimeout) || maxTimeout < minTimeout) {
+		throw new TypeError('Expected `retry.maxTimeout` to be a number not less than `retry.minTimeout`');
+	}
+
+	if (!Number.isFinite(factor) || factor < 1) {
+		throw new TypeError('Expected `retry.factor` to be a finite number of at least 1');
+	}
+
+	if (typeof shouldRetry !== 'function') {
+		throw new TypeError('Expected `retry.shouldRetry` to be a function');
+	}
+
+	return {
+		retries,
+		minTimeout,
+		maxTimeout,
+		factor,
+		jitter,
+		shouldRetry,
+	};
+};
+
+// Exponential backoff, with full jitter spreading the retries of many clients over the whole backoff window
+const getRetryDelay = ({minTimeout, maxTimeout, factor, jitter}, attempt) => {
+	const delay = Math.min(minTimeout * (factor ** (attempt - 1)), maxTimeout);
+	return jitter ? Math.random() * delay : delay;
+};
+
+// Call `attempt` until it succeeds or `retry` gives up, and return the outcome of the last attempt. `waitForRetry(milliseconds)` can end the retries early by returning an interruption, with the `status` of how the callers should be settled instead.
+const executeWithRetry = async (attempt, retry, waitForRetry) => {
+	for (let attemptNumber = 1; ; attemptNumber++) {
+		let outcome;
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			outcome = {status: 'fulfilled', value: await attempt()};
+		} catch (error) {
+			outcome = {status: 'rejected', reason: error};
+		}
+
+		if (outcome.status === 'fulfilled' || !retry || attemptNumber > retry.retries) {
+			return {outcome};
+		}
+
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			if (!await retry.shouldRetry(outcome.reason, attemptNumber)) {
+				return {outcome};
+			}
+		} catch (error) {
+			return {outcome: {status: 'rejected', reason: error}};
+		}
+
+		// eslint-disable-next-line no-await-in-loop
+		const interruption = await waitForRetry(getRetryDelay(retry, attemptNumber));
+		if (interruption) {
+			return {outcome, interruption};
+		}
+	}
+};
+
+const compareStrings = (a, b) => a < b ? -1 : (a > b ? 1 : 0);
+
+// Tag each value with its type, so that different values never get the same serialization, like `undefined` and `null`, or two `Map`s
+const serializeValue = (value, ancestors) => {
+	if (value === undefined || value === null) {
+		return String(value);
+	}
+
+	if (typeof value === 'string') {
+		return JSON.stringify(value);
+	}
+
+	if (['boolean', 'number', 'bigint'].includes(typeof value)) {
+		return `${typeof value}:${Object.is(value, -0) ? 0 : value}`;
+	}
+
+	if (typeof value !== 'object') {
+		throw new TypeError(`Cannot serialize a ${typeof value} as part of the key`);
+	}
+
+	if (ancestors.has(value)) {
+		throw new TypeError('Cannot serialize a circular structure as part of the key');
+	}
+
+	ancestors.add(value);
+
+	try {
+		return serializeObject(value, ancestors);
+	} finally {
+		ancestors.delete(value);
+	}
+};
+
+const serializeObject = (value, ancestors) => {
+	const serializeItems = items => items.map(item => serializeValue(item, ancestors)).join(',');
+
+	if (Array.isArray(value)) {
+		return `[${serializeItems(value)}]`;
+	}
+
+	if (value instanceof Date) {
+		return `Date:${value.getTime()}`;
+	}
+
+	if (value instanceof Map) {
+		return `Map{${[...value].map(entry => `[${serializeItems(entry)}]`).join(',')}}`;
+	}
+
+	if (value instanceof Set) {
+		return `Set{${serializeItems([...value])}}`;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+	if (prototype !== Object.prototype && prototype !== null) {
+		throw new TypeError(`Cannot serialize an instance of \`${value.constructor?.name ?? 'Object'}\` as part of the key`);
+	}
+
+	const entries = Object.entries(value).sort(([a], [b]) => compareStrings(a, b));
+	return `{${entries.map(([key, item]) => `${JSON.stringify(key)}:${serializeValue(item, ancestors)}`).join(',')}}`;
+};
+
+// A key that's the same for equal arguments, regardless of the order of object properties
+const serializeArguments = arguments_ => serializeValue(arguments_, new Set());
+
+const validateWait = wait => {
+	if (!Number.isFinite(wait) && typeof wait !== 'function' && wait !== 'microtask' && wait !== 'frame') {
+		throw new TypeError('Expected `wait` to be a finite number, a function, `\'microtask\'`, or `\'frame\'`');
+	}
+};
+
+const validateOptions = (wait, options) => {
+	validateWait(wait);
+
+	if (options.maxWait !== undefined && !Number.isFinite(options.maxWait)) {
+		throw new TypeError('Expected `maxWait` to be a finite number');
+	}
+
+	if (options.accumulate !== undefined && typeof options.accumulate !== 'function') {
+		throw new TypeError('Expected `accumulate` to be a function');
+	}
+
+	if (options.resolveOrder !== undefined && options.resolveOrder !== 'latest') {
+		throw new TypeError('Expected `resolveOrder` to be `\'latest\'`');
+	}
+
+	validateSuperseded(options.superseded);
+	validateHooks(options);
+	validateClock(options.clock);
+	normalizeRetry(options.retry);
+};
+
+// `onIdle` is called whenever the debounced function has nothing pending, running, or waiting anymore
+const createDebounced = (functionToDebounce, wait, options, onIdle) => {
+	validateOptions(wait, options);
+
+	const clock = options.clock ?? defaultClock;
+	const waitScheduler = createWaitScheduler(wait, clock);
+	const retry = normalizeRetry(options.retry);
+
+	let leadingExecution; // A promise for the value of the leading call of the current burst
+	let timeout;
+	let maxTimeout;
+	let burst; // The start time and number of calls since the timer was started
+	let lastCall; // The `this` and (accumulated) arguments of the latest call since the last execution
+	let burstCalls = []; // The {context, arguments_, handler} of each call whose arguments count for the pending call, to rebuild `lastCall` when one is aborted, without a `handler` for the arguments of a failed execution it superseded
+	let promiseHandlers = []; // Single array of {resolve, reject}
+	let flushHandlers = []; // The {resolve, reject} of `.flush()` callers waiting for the pending call
+	let isLeadingCalled = false; // Whether the leading call of the current burst was executed
+	let isDeferred = false; // With `serial`, whether the pending call waits for the running execution
+	let runningCount = 0;
+	let pendingCallerCount = 0;
+	let lastResult;
+	let executionController; // Controls the signal of the latest execution with `abortPrevious`
+	let latestExecution; // The {handlers, context, arguments_, outcome, isHandedOver} of the latest execution that started, where `isHandedOver` is whether its callers were moved to the pending call
+	const retryWaits = new Set(); // The waits of failed executions before their next attempt
+
+	const clearTimers = () => {
+		waitScheduler.cancel(timeout);
+		clock.clearTimeout(maxTimeout);
+		timeout = undefined;
+		maxTimeout = undefined;
+		burst = undefined;
+	};
+
+	// Drop the pending call and return the handlers of its callers
+	const clearPending = () => {
+		clearTimers();
+
+		const currentHandlers = [...promiseHandlers, ...flushHandlers];
+		promiseHandlers = [];
+		flushHandlers = [];
+		lastCall = undefined;
+		burstCalls = [];
+		leadingExecution = undefined;
+		isLeadingCalled = false;
+		isDeferred = false;
+
+		options.signal?.removeEventListener('abort', onAbort);
+
+		return currentHandlers;
+	};
+
+	const checkIdle = () => {
+		if (timeout === undefined && runningCount === 0 && pendingCallerCount === 0) {
+			onIdle?.();
+		}
+	};
+
+	const onAbort = () => {
+		const callers = promiseHandlers.length;
+
+		for (const {reject} of clearPending()) {
+			reject(createCancelledError(options.signal.reason));
+		}
+
+		if (callers > 0) {
+			callHook(options.onCancel, {reason: options.signal.reason, callers});
+		}
+
+		checkIdle();
+	};
+
+	// Abort the previous execution, and pass a signal for the new one to `fn` as an extra argument
+	const getExecutionArguments = arguments_ => {
+		if (!options.abortPrevious) {
+			return arguments_;
+		}
+
+		executionController?.abort();
+		executionController = new AbortController();
+
+		const signal = options.signal ? AbortSignal.any([executionController.signal, options.signal]) : executionController.signal;
+
+		return [...arguments_, signal];
+	};
+
+	// Settle the callers of an execution with its outcome, or with `resolveOrder: 'latest'`, with the outcome of a newer execution if one started, so callers never get an older result
+	const settleExecution = (execution, outcome) => {
+		if (options.resolveOrder !== 'latest' || execution === latestExecution) {
+			execution.outcome = outcome;
+			settleHandlers(execution.handlers, outcome, options);
+		} else {
+			settleWithLatest(execution, outcome);
+		}
+	};
+
+	// With `superseded: 'reject'` or `'undefined'`, the older callers are settled like superseded calls instead
+	const settleWithLatest = (execution, outcome) => {
+		if (!isSharingSuperseded(options)) {
+			settleSuperseded(execution.handlers, options);
+		} else if (latestExecution.outcome) {
+			settleHandlers(execution.handlers, latestExecution.outcome, options);
+		} else if (!latestExecution.isHandedOver) {
+			latestExecution.handlers.push(...execution.handlers);
+		} else if (timeout !== undefined || isDeferred) {
+			// The latest execution was superseded while waiting to retry, so the older callers follow its callers to the pending call
+			promiseHandlers.push(...execution.handlers);
+		} else {
+			// The pending call that took over the callers of the latest execution was dropped
+			settleHandlers(execution.handlers, outcome, options);
+		}
+	};
+
+	// A newer call supersedes the retries of a failed execution, so its callers are settled along with the newer call instead
+	const supersedeExecution = (execution, outcome) => {
+		if (!isSharingSuperseded(options)) {
+			settleSuperseded(execution.handlers, options);
+			return;
+		}
+
+		if (execution !== latestExecution) {
+			settleWithLatest(execution, outcome);
+			return;
+		}
+
+		// Nothing is left to call `fn` with if the newer call was aborted in the meantime
+		if (timeout === undefined && !isDeferred) {
+			settleExecution(execution, outcome);
+			return;
+		}
+
+		// With `accumulate`, the pending call runs with the arguments of the failed execution too, so they are not lost
+		if (options.accumulate && lastCall) {
+			try {
+				lastCall = {...lastCall, arguments_: options.accumulate(execution.arguments_, lastCall.arguments_)};
+			} catch (error) {
+				settleExecution(execution, {status: 'rejected', reason: error});
+				return;
+			}
+
+			// Rebuilding the pending call when a caller aborts starts from them too
+			burstCalls.unshift({context: execution.context, arguments_: execution.arguments_});
+		}
+
+		promiseHandlers.push(...execution.handlers);
+		execution.isHandedOver = true;
+
+		// The pending call runs `fn` for them, even with only the `before` option
+		isLeadingCalled = false;
+
+		options.signal?.addEventListener('abort', onAbort, {once: true});
+	};
+
+	const waitForRetry = (execution, milliseconds) => {
+		if (execution !== latestExecution || promiseHandlers.length > 0) {
+			return {status: 'superseded'};
+		}
+
+		if (options.signal?.aborted) {
+			return {status: 'rejected', reason: createCancelledError(options.signal.reason)};
+		}
+
+		return new Promise(resolve => {
+			const retryWait = {
+				finish(interruption) {
+					clock.clearTimeout(timeoutId);
+					options.signal?.removeEventListener('abort', onSignalAbort);
+					retryWaits.delete(retryWait);
+					resolve(interruption);
+				},
+			};
+
+			const onSignalAbort = () => {
+				retryWait.finish({status: 'rejected', reason: createCancelledError(options.signal.reason)});
+			};
+
+			const timeoutId = clock.setTimeout(() => {
+				retryWait.finish();
+			}, milliseconds);
+
+			options.signal?.addEventListener('abort', onSignalAbort, {once: true});
+			retryWaits.add(retryWait);
+		});
+	};
+
+	// Call `fn` for the given callers, retrying failures with the `retry` option, and return its outcome
+	const execute = async (context, arguments_, handlers, {callers = handlers.length} = {}) => {
+		runningCount++;
+
+		const execution = {handlers, context, arguments_};
+		latestExecution = execution;
+
+		const startTime = clock.now();
+		callHook(options.onExecute, {arguments: arguments_});
+
+		let controller;
+		const {outcome, interruption} = await executeWithRetry(() => {
+			const executionArguments = getExecutionArguments(arguments_);
+			controller = executionController;
+			return functionToDebounce.apply(context, executionArguments);
+		}, retry, milliseconds => waitForRetry(execution, milliseconds));
+
+		runningCount--;
+		lastResult = outcome;
+
+		callHook(options.onSettle, {...outcome, duration: clock.now() - startTime, callers});
+
+		// Nothing is left to abort once the latest execution settled
+		if (executionController === controller) {
+			executionController = undefined;
+		}
+
+		if (interruption?.status === 'superseded') {
+			supersedeExecution(execution, outcome);
+		} else {
+			settleExecution(execution, interruption ?? outcome);
+		}
+
+		// With `serial`, the call that came due while `fn` was running can run now
+		if (isDeferred && runningCount === 0) {
+			run();
+		}
+
+		return outcome;
+	};
+
+	// Without a trailing call, the later calls of a burst settle with the value of its leading call, once it settles
+	const settleWithLeadingValue = async (handlers, currentLeadingExecution) => {
+		if (handlers.length > 0) {
+			settleHandlers(handlers, {status: 'fulfilled', value: await currentLeadingExecution});
+		}
+	};
+
+	// Execute the leading call of a burst, and return its value, or `undefined` if it failed
+	const executeLeading = async (context, arguments_, handler) => {
+		const outcome = await execute(context, arguments_, [handler]);
+		return outcome.status === 'fulfilled' ? outcome.value : undefined;
+	};
+
+	const run = async () => {
+		clearTimers();
+
+		// With `before`, only call `fn` again on the trailing edge if the leading call did not run, or `after` is set and calls arrived after the leading one
+		const shouldCallAfter = !options.before || !isLeadingCalled || (options.after && promiseHandlers.length > 0);
+
+		// With `serial`, keep the pending call, with its callers and latest arguments, until the running execution settles
+		if (options.serial && runningCount > 0 && (shouldCallAfter || promiseHandlers.length > 0 || flushHandlers.length > 0)) {
+			isDeferred = true;
+			return;
+		}
+
+		isDeferred = false;
+
+		// Capture the current handlers and arguments for this execution
+		const currentHandlers = promiseHandlers;
+		const currentFlushHandlers = flushHandlers;
+		const {context, arguments_} = lastCall ?? {};
+
+		// Clear state for next cycle (new calls during execution will start a new burst)
+		promiseHandlers = [];
+		lastCall = undefined;
+		burstCalls = [];
+		isLeadingCalled = false;
+
+		flushHandlers = [];
+
+		// The captured callers can no longer be aborted by the `signal` option
+		options.signal?.removeEventListener('abort', onAbort);
+
+		const currentLeadingExecution = leadingExecution;
+		leadingExecution = undefined;
+
+		// The callers of `.flush()` are settled along with the batch, but do not count as trailing calls
+		if (shouldCallAfter) {
+			await execute(context, arguments_, [...currentHandlers, ...currentFlushHandlers], {callers: currentHandlers.length});
+		} else if (isSharingSuperseded(options)) {
+			settleWithLeadingValue([...currentHandlers, ...currentFlushHandlers], currentLeadingExecution);
+		} else {
+			// Without a trailing call, the arguments of the calls after the leading one are never used
+			settleSuperseded(currentHandlers, options);
+			settleWithLeadingValue(currentFlushHandlers, currentLeadingExecution);
+		}
+
+		checkIdle();
+	};
+
+	// Without `accumulate`, the arguments of the previous call are discarded for those of a newer call, so its caller is superseded right away
+	const supersedeLastCall = () => {
+		if (!lastCall || options.accumulate || isSharingSuperseded(options)) {
+			return;
+		}
+
+		const index = promiseHandlers.indexOf(lastCall.handler);
+
+		if (index !== -1) {
+			promiseHandlers.splice(index, 1);
+			settleSuperseded([lastCall.handler], options);
+		}
+
+		burstCalls = burstCalls.filter(call => call.handler !== lastCall.handler);
+	};
+
+	// The `this` and (accumulated) arguments of the calls of the burst that are still waiting
+	const getLastCall = () => {
+		let call;
+
+		for (const {context, arguments_, handler} of burstCalls) {
+			call = {
+				context,
+				arguments_: call && options.accumulate ? options.accumulate(call.arguments_, arguments_) : arguments_,
+				handler,
+			};
+		}
+
+		return call;
+	};
+
+	const schedule = (context, arguments_, callSignal) => new Promise((resolve, reject) => {
+		// Check if already aborted
+		try {
+			options.signal?.throwIfAborted();
+			callSignal?.throwIfAborted();
+		} catch (error) {
+			reject(createCancelledError(error));
+			return;
+		}
+
+		const onCallAbort = () => {
+			const index = promiseHandlers.indexOf(handler);
+
+			if (index !== -1) {
+				promiseHandlers.splice(index, 1);
+
+				// The pending call runs only with the arguments of the calls that are still waiting
+				const callCount = burstCalls.length;
+				burstCalls = burstCalls.filter(call => call.handler !== handler);
+
+				if (burstCalls.length !== callCount) {
+					try {
+						lastCall = getLastCall();
+					} catch (error) {
+						// The pending call has no arguments to run with if `accumulate` throws, so its callers are rejected with the error
+						for (const {reject} of clearPending()) {
+							reject(error);
+						}
+					}
+				}
+
+				// Nobody is waiting for the pending call anymore, so it should never run
+				if (promiseHandlers.length === 0 && (!options.before || !isLeadingCalled)) {
+					clearPending();
+				}
+			}
+
+			rejectCall(createCancelledError(callSignal.reason));
+		};
+
+		// Remove the per-call abort listener however the call settles
+		const resolveCall = value => {
+			callSignal?.removeEventListener('abort', onCallAbort);
+			resolve(value);
+		};
+
+		const rejectCall = error => {
+			callSignal?.removeEventListener('abort', onCallAbort);
+			reject(error);
+		};
+
+		const handler = {resolve: resolveCall, reject: rejectCall};
+
+		// With `serial`, a leading call that would overlap the running execution is deferred like a trailing one
+		const shouldCallNow = options.before && timeout === undefined && !isDeferred && !(options.serial && runningCount > 0);
+		const callWait = getCallWait(wait, clock, burst, arguments_);
+
+		// The leading call consumes its own arguments, so only later calls are accumulated for the trailing edge, once `accumulate` accepted their arguments
+		if (!shouldCallNow) {
+			const accumulatedArguments = lastCall && options.accumulate ? options.accumulate(lastCall.arguments_, arguments_) : arguments_;
+
+			supersedeLastCall();
+			burstCalls.push({context, arguments_, handler});
+			lastCall = {context, arguments_: accumulatedArguments, handler};
+		}
+
+		burst ??= {startTime: clock.now(), callCount: 0};
+		burst.callCount++;
+
+		callHook(options.onSchedule, {arguments: arguments_});
+
+		if (burst.callCount > 1) {
+			callHook(options.onCoalesce, {arguments: arguments_, callCount: burst.callCount});
+		}
+
+		waitScheduler.cancel(timeout);
+		timeout = waitScheduler.schedule(run, callWait);
+
+		// Cap the total delay of a burst, measured from its first call
+		if (options.maxWait !== undefined && maxTimeout === undefined) {
+			maxTimeout = clock.setTimeout(run, options.maxWait);
+		}
+
+		callSignal?.addEventListener('abort', onCallAbort, {once: true});
+
+		if (shouldCallNow) {
+			isLeadingCalled = true;
+
+			// Execute immediately for leading edge
+			leadingExecution = executeLeading(context, arguments_, handler);
+		} else {
+			// Add to handlers for later resolution
+			promiseHandlers.push(handler);
+
+			// Set up abort listener (only once per batch)
+			if (options.signal && promiseHandlers.length === 1) {
+				options.signal.addEventListener('abort', onAbort, {once: true});
+			}
+		}
+
+		// Failed executions are not retried with arguments that are now outdated
+		for (const retryWait of retryWaits) {
+			retryWait.finish({status: 'superseded'});
+		}
+	});
+
+	const callDebounced = async (context, arguments_, callSignal) => {
+		pendingCallerCount++;
+
+		try {
+			return await schedule(context, arguments_, callSignal);
+		} finally {
+			pendingCallerCount--;
+			checkIdle();
+		}
+	};
+
+	const debounced = function (...arguments_) {
+		return callDebounced(this, arguments_);
+	};
+
+	debounced.withSignal = callSignal => function (...arguments_) {
+		return callDebounced(this, arguments_, callSignal);
+	};
+
+	debounced.flush = () => new Promise((resolve, reject) => {
+		// Nothing is pending
+		if (timeout === undefined && !isDeferred) {
+			resolve();
+			return;
+		}
+
+		flushHandlers.push({resolve, reject});
+		run();
+	});
+
+	debounced.cancel = (reason = createAbortError()) => {
+		executionController?.abort(reason);
+		executionController = undefined;
+
+		for (const retryWait of retryWaits) {
+			retryWait.finish({status: 'cancelled', reason});
+		}
+
+		const callers = promiseHandlers.length;
+		settleCancelled(clearPending(), reason, options);
+
+		if (callers > 0) {
+			callHook(options.onCancel, {reason, callers});
+		}
+
+		checkIdle();
+	};
+
+	Object.defineProperties(debounced, {
+		isPending: {get: () => timeout !== undefined || isDeferred},
+		isRunning: {get: () => runningCount > 0},
+		pendingCallers: {get: () => pendingCallerCount},
+		lastResult: {get: () => lastResult},
+	});
+
+	return debounced;
+};
+
+const pDebounce = (functionToDebounce, wait, options = {}) => createDebounced(functionToDebounce, wait, options);
+
+pDebounce.keyed = (functionToDebounce, wait, options = {}) => {
+	const {key: getKey = (...arguments_) => arguments_[0], ...debounceOptions} = options;
+
+	validateOptions(wait, debounceOptions);
+
+	if (typeof getKey !== 'function') {
+		throw new TypeError('Expected `key` to be a function');
+	}
+
+	const debouncedFunctions = new Map();
+
+	const getDebounced = key => {
+		let debounced = debouncedFunctions.get(key);
+
+		if (!debounced) {
+			// Evict the key once it's idle so memory does not grow with the number of keys ever used
+			debounced = createDebounced(functionToDebounce, wait, debounceOptions, () => {
+				if (debouncedFunctions.get(key) === debounced) {
+					debouncedFunctions.delete(key);
+				}
+			});
+
+			debouncedFunctions.set(key, debounced);
+		}
+
+		return debounced;
+	};
+
+	// Async, so an error thrown by `getKey` rejects the call like any other error
+	const callKeyed = async (context, arguments_, callSignal) => {
+		const debounced = getDebounced(getKey(...arguments_));
+		return (callSignal ? debounced.withSignal(callSignal) : debounced).apply(context, arguments_);
+	};
+
+	const keyed = function (...arguments_) {
+		return callKeyed(this, arguments_);
+	};
+
+	keyed.withSignal = callSignal => function (...arguments_) {
+		return callKeyed(this, arguments_, callSignal);
+	};
+
+	keyed.flush = async key => debouncedFunctions.get(key)?.flush();
+
+	keyed.cancel = (key, reason) => {
+		debouncedFunctions.get(key)?.cancel(reason);
+	};
+
+	Object.defineProperty(keyed, 'size', {get: () => debouncedFunctions.size});
+
+	return keyed;
+};
+
+// Look up the result of a call in the results returned by `pDebounce.batch()`'s `fn`
+const getBatchResult = (results, call, index) => results instanceof Map ? results.get(call.arguments_[0]) : results[index];
+
+const batchOptionNames = new Set(['maxBatchSize', 'clock', 'signal']);
+
+pDebounce.batch = (functionToBatch, wait, options = {}) => {
+	validateWait(wait);
+	validateClock(options.clock);
+
+	// The options of `pDebounce()` that batching has no equivalent for are rejected, rather than silently ignored
+	for (const [name, value] of Object.entries(options)) {
+		if (value !== undefined && !batchOptionNames.has(name)) {
+			throw new TypeError(`The \`${name}\` option is not supported by \`pDebounce.batch()\``);
+		}
+	}
+
+	if (options.maxBatchSize !== undefined && !(Number.isInteger(options.maxBatchSize) && options.maxBatchSize > 0)) {
+		throw new TypeError('Expected `maxBatchSize` to be a positive integer');
+	}
+
+	const clock = options.clock ?? defaultClock;
+	const waitScheduler = createWaitScheduler(wait, clock);
 
-	let leadingValue;
 	let timeout;
-	let promiseHandlers = []; // Single array of {resolve, reject}
+	let batchStartTime;
+	let batch = []; // Array of {context, arguments_, resolve, reject}
 
-	const onAbort = () => {
-		clearTimeout(timeout);
+	const takeBatch = () => {
+		waitScheduler.cancel(timeout);
 		timeout = undefined;
 
+		const calls = batch;
+		batch = [];
+
+		options.signal?.removeEventListener('abort', onAbort);
+
+		return calls;
+	};
+
+	const onAbort = () => {
+		for (const {reject} of takeBatch()) {
+			reject(createCancelledError(options.signal.reason));
+		}
+	};
+
+	const run = async () => {
+		const calls = takeBatch();
+
 		try {
-			options.signal?.throwIfAborted();
+			const results = await functionToBatch.call(calls.at(-1).context, calls.map(({arguments_}) => arguments_));
+
+			if (!(results instanceof Map) && (!Array.isArray(results) || results.length !== calls.length)) {
+				throw new TypeError('Expected `fn` to return a Map or an array with one result per call');
+			}
+
+			for (const [index, call] of calls.entries()) {
+				const result = getBatchResult(results, call, index);
+
+				// Errors are per call, so they only reject their own caller
+				if (result instanceof Error) {
+					call.reject(result);
+				} else {
+					call.resolve(result);
+				}
+			}
 		} catch (error) {
-			for (const {reject} of promiseHandlers) {
+			for (const {reject} of calls) {
 				reject(error);
 			}
-
-			promiseHandlers = [];
 		}
 	};
 
@@ -28,126 +955,589 @@ const pDebounce = (functionToDebounce, wait, options = {}) => {
 			try {
 				options.signal?.throwIfAborted();
 			} catch (error) {
-				reject(error);
+				reject(createCancelledError(error));
 				return;
 			}
 
-			const shouldCallNow = options.before && !timeout;
+			const callWait = getCallWait(wait, clock, batch.length > 0 ? {startTime: batchStartTime, callCount: batch.length} : undefined, arguments_);
 
-			clearTimeout(timeout);
+			if (batch.length === 0) {
+				batchStartTime = clock.now();
+			}
 
-			timeout = setTimeout(async () => {
-				timeout = undefined;
+			batch.push({
+				context: this,
+				arguments_,
+				resolve,
+				reject,
+			});
 
-				// Capture the current handlers for this execution
-				const currentHandlers = promiseHandlers;
+			// Set up abort listener (only once per batch)
+			if (options.signal && batch.length === 1) {
+				options.signal.addEventListener('abort', onAbort, {once: true});
+			}
 
-				// Clear handlers for next cycle (new calls during execution will add to new list)
-				promiseHandlers = [];
+			if (batch.length >= options.maxBatchSize) {
+				run();
+				return;
+			}
 
-				try {
-					const result = options.before ? leadingValue : await functionToDebounce.apply(this, arguments_);
+			waitScheduler.cancel(timeout);
+			timeout = waitScheduler.schedule(run, callWait);
+		});
+	};
+};
 
-					for (const {resolve: resolveFunction} of currentHandlers) {
-						resolveFunction(result);
-					}
-				} catch (error) {
-					for (const {reject: rejectFunction} of currentHandlers) {
-						rejectFunction(error);
-					}
-				}
+const queueOverflowPolicies = new Set(['rejectNewest', 'dropOldest', 'collapse']);
 
-				// Clear leading value for next cycle
-				leadingValue = undefined;
+const validateQueueOptions = options => {
+	if (options.mode !== undefined && options.mode !== 'queue') {
+		throw new TypeError('Expected `mode` to be `\'queue\'`');
+	}
 
-				// Remove abort listener
-				options.signal?.removeEventListener('abort', onAbort);
-			}, wait);
+	if (options.mode === 'queue' && options.after) {
+		throw new TypeError('The `after` option cannot be used with `mode: \'queue\'`');
+	}
 
-			if (shouldCallNow) {
-				// Execute immediately for leading edge
-				(async () => {
-					try {
-						leadingValue = await functionToDebounce.apply(this, arguments_);
-						resolve(leadingValue);
-					} catch (error) {
-						reject(error);
-					}
-				})();
-			} else {
-				// Add to handlers for later resolution
-				promiseHandlers.push({resolve, reject});
+	if (options.mode === 'queue' && options.staleWhileRevalidate) {
+		throw new TypeError('The `staleWhileRevalidate` option cannot be used with `mode: \'queue\'`');
+	}
 
-				// Set up abort listener (only once per batch)
-				if (options.signal && promiseHandlers.length === 1) {
-					options.signal.addEventListener('abort', onAbort, {once: true});
-				}
-			}
-		});
-	};
+	if (options.maxQueueSize !== undefined && (!Number.isInteger(options.maxQueueSize) || options.maxQueueSize < 1)) {
+		throw new TypeError('Expected `maxQueueSize` to be a positive integer');
+	}
+
+	if (options.overflow !== undefined && !queueOverflowPolicies.has(options.overflow)) {
+		throw new TypeError('Expected `overflow` to be `\'rejectNewest\'`, `\'dropOldest\'`, or `\'collapse\'`');
+	}
 };
 
 pDebounce.promise = (function_, options = {}) => {
-	let currentPromise;
-	let queuedCall;
+	for (const name of ['accumulate', 'onRevalidate', 'onRevalidateError']) {
+		if (options[name] !== undefined && typeof options[name] !== 'function') {
+			throw new TypeError(`Expected \`${name}\` to be a function`);
+		}
+	}
+
+	if (options.key !== undefined && options.key !== true && typeof options.key !== 'function') {
+		throw new TypeError('Expected `key` to be `true` or a function');
+	}
+
+	for (const name of ['cacheFor', 'cacheRejectionsFor']) {
+		if (options[name] !== undefined && (typeof options[name] !== 'number' || !(options[name] >= 0))) {
+			throw new TypeError(`Expected \`${name}\` to be a non-negative number`);
+		}
+	}
+
+	for (const name of ['timeout', 'cooldown']) {
+		if (options[name] !== undefined && (!Number.isFinite(options[name]) || options[name] < 0)) {
+			throw new TypeError(`Expected \`${name}\` to be a non-negative finite number`);
+		}
+	}
+
+	validateQueueOptions(options);
+	validateHooks(options);
+
+	validateSuperseded(options.superseded);
+	validateClock(options.clock);
+
+	const clock = options.clock ?? defaultClock;
+	const retry = normalizeRetry(options.retry);
+	const getKey = options.key === true ? (...arguments_) => serializeArguments(arguments_) : options.key;
+
+	// Key → {currentPromise, queuedCall, queue, retryWait, cooldown, cachedResult, staleValue, revalidation, execution, outcome}, where calls without the `key` option share the `undefined` key, and `queue` holds the calls waiting to run with `mode: 'queue'`
+	const states = new Map();
+	let pendingCallerCount = 0;
+	let lastResult;
+
+	// Forget the key once nothing runs, waits, or is cached for it anymore, so memory does not grow with the number of keys ever used
+	const cleanUp = (key, state) => {
+		if (!state.currentPromise && !state.cooldown && !state.cachedResult && !state.staleValue && states.get(key) === state) {
+			states.delete(key);
+		}
+	};
+
+	// Keep serving the outcome of the latest execution to new calls for as long as the options say
+	const cacheResult = (key, state) => {
+		const {outcome} = state;
+		const duration = (outcome.status === 'fulfilled' ? options.cacheFor : options.cacheRejectionsFor) ?? 0;
+
+		if (duration <= 0) {
+			state.cachedResult = undefined;
+			return;
+		}
+
+		const cachedResult = {outcome, expiresAt: clock.now() + duration};
+		state.cachedResult = cachedResult;
+
+		if (Number.isFinite(duration)) {
+			const cleanupTimeout = clock.setTimeout(() => {
+				if (state.cachedResult === cachedResult) {
+					state.cachedResult = undefined;
+					cleanUp(key, state);
+				}
+			}, duration);
+
+			// The cache alone should not keep the process alive
+			cleanupTimeout?.unref?.();
+		}
+	};
+
+	// Remove the calls that have not started running yet
+	const takeWaitingCalls = state => {
+		const calls = [...(state.queue ?? []), ...(state.queuedCall ? [state.queuedCall] : [])];
+		state.queue = undefined;
+		state.queuedCall = undefined;
+		return calls;
+	};
 
-	return async function (...arguments_) {
-		if (currentPromise) {
-			if (!options.after) {
-				return currentPromise;
+	// Drop the queued calls and the retries, and reject the running executions, which are passed the signal to stop their work
+	const onAbort = () => {
+		const error = createCancelledError(options.signal.reason);
+
+		let callers = 0;
+
+		for (const state of states.values()) {
+			const resolvers = takeWaitingCalls(state).flatMap(call => call.resolvers);
+			callers += resolvers.length;
+			state.retryWait?.finish({status: 'rejected', reason: error});
+			settleHandlers(resolvers, {status: 'rejected', reason: error});
+		}
+
+		if (callers > 0) {
+			callHook(options.onCancel, {reason: options.signal.reason, callers});
+		}
+	};
+
+	options.signal?.addEventListener('abort', onAbort, {once: true});
+
+	// Call `function_` once, passing it a signal with the `passSignal` option, and reject when it takes longer than `timeout` or the `signal` option is aborted, so a stuck execution does not hold up later calls
+	const callFunction = (context, arguments_) => new Promise((resolve, reject) => {
+		const controller = options.passSignal ? new AbortController() : undefined;
+		let timeoutId;
+
+		const stop = (error, abortReason) => {
+			cleanUpCall();
+			controller?.abort(abortReason);
+			reject(error);
+		};
+
+		const onCallAbort = () => {
+			stop(createCancelledError(options.signal.reason), options.signal.reason);
+		};
+
+		const cleanUpCall = () => {
+			clock.clearTimeout(timeoutId);
+			options.signal?.removeEventListener('abort', onCallAbort);
+		};
+
+		if (options.timeout !== undefined) {
+			timeoutId = clock.setTimeout(() => {
+				const error = new DebounceTimeoutError(`The call timed out after ${options.timeout} milliseconds`);
+				stop(error, error);
+			}, options.timeout);
+		}
+
+		options.signal?.addEventListener('abort', onCallAbort, {once: true});
+
+		(async () => {
+			try {
+				resolve(await function_.apply(context, controller ? [...arguments_, controller.signal] : arguments_));
+			} catch (error) {
+				reject(error);
+			} finally {
+				cleanUpCall();
 			}
+		})();
+	});
 
-			// Queue latest call (replacing any existing queue)
-			queuedCall ??= {resolvers: []};
-			queuedCall.arguments = arguments_;
-			queuedCall.context = this;
+	const waitForRetry = (state, milliseconds) => {
+		if (state.queuedCall) {
+			return {status: 'superseded'};
+		}
 
-			return new Promise((resolve, reject) => {
-				queuedCall.resolvers.push({resolve, reject});
-			});
+		if (options.signal?.aborted) {
+			return {status: 'rejected', reason: createCancelledError(options.signal.reason)};
 		}
 
-		currentPromise = (async () => {
-			let result;
-			let initialError;
+		return new Promise(resolve => {
+			const timeoutId = clock.setTimeout(() => {
+				state.retryWait.finish();
+			}, milliseconds);
+
+			state.retryWait = {
+				finish(interruption) {
+					clock.clearTimeout(timeoutId);
+					state.retryWait = undefined;
+					resolve(interruption);
+				},
+			};
+		});
+	};
+
+	// Call `function_`, retrying failures with the `retry` option, and return its outcome, or how it was interrupted
+	const execute = async (state, context, arguments_, callers) => {
+		// Calls sharing the running execution are counted as they arrive
+		const execution = {callers};
+		state.execution = execution;
+
+		const startTime = clock.now();
+		callHook(options.onExecute, {arguments: arguments_});
+
+		const {outcome, interruption} = await executeWithRetry(() => callFunction(context, arguments_), retry, milliseconds => waitForRetry(state, milliseconds));
+		state.outcome = outcome;
+		lastResult = outcome;
+
+		callHook(options.onSettle, {...outcome, duration: clock.now() - startTime, callers: execution.callers});
+
+		if (options.staleWhileRevalidate && outcome.status === 'fulfilled') {
+			state.staleValue = {value: outcome.value};
+		}
 
+		// With `accumulate`, the queued call that superseded the retries runs with the arguments of the failed execution too, so they are not lost
+		if (interruption?.status === 'superseded' && options.accumulate && state.queuedCall) {
 			try {
-				result = await function_.apply(this, arguments_);
+				state.queuedCall.arguments = options.accumulate(arguments_, state.queuedCall.arguments);
 			} catch (error) {
-				initialError = error;
+				return {status: 'rejected', reason: error};
 			}
+		}
+
+		return interruption ?? outcome;
+	};
+
+	const addCaller = call => new Promise((resolve, reject) => {
+		call.resolvers.push({resolve, reject});
+	});
+
+	// Give a call that has not run yet the arguments and `this` of a newer call, superseding its callers unless they share the result
+	const replaceWaitingCall = (call, context, arguments_) => {
+		if (options.accumulate) {
+			call.arguments = options.accumulate(call.arguments, arguments_);
+		} else {
+			if (!isSharingSuperseded(options)) {
+				settleSuperseded(call.resolvers, options);
+				call.resolvers = [];
+			}
+
+			call.arguments = arguments_;
+		}
+
+		call.context = context;
+	};
+
+	const waitForCooldown = () => new Promise(resolve => {
+		clock.setTimeout(resolve, options.cooldown);
+	});
+
+	// Wait for the `cooldown` option after an execution, and take the call queued by then
+	const takeQueuedCall = async state => {
+		if (state.queuedCall && options.cooldown > 0) {
+			await waitForCooldown();
+		}
+
+		const call = state.queuedCall;
+		state.queuedCall = undefined;
+		return call;
+	};
+
+	// Run the calls of `mode: 'queue'` one after another, each with its own arguments and result
+	const runQueue = async (key, state) => {
+		let outcome;
+
+		while (state.queue?.length > 0) {
+			if (outcome && options.cooldown > 0) {
+				// eslint-disable-next-line no-await-in-loop
+				await waitForCooldown();
+			}
+
+			const call = state.queue?.shift();
+			if (!call) {
+				break;
+			}
+
+			// eslint-disable-next-line no-await-in-loop
+			outcome = await execute(state, call.context, call.arguments, call.resolvers.length);
+			settleHandlers(call.resolvers, outcome, options);
+		}
+
+		state.queue = undefined;
+
+		if (outcome && outcome.status !== 'cancelled') {
+			cacheResult(key, state);
+		}
+	};
+
+	const startQueue = async (key, state) => {
+		state.cachedResult = undefined;
+		state.currentPromise = runQueue(key, state);
+
+		try {
+			await state.currentPromise;
+		} finally {
+			state.currentPromise = undefined;
+			startCooldown(key, state);
+			cleanUp(key, state);
+		}
+	};
+
+	const enqueue = (key, state, context, arguments_) => {
+		state.queue ??= [];
+		const {queue} = state;
+
+		if (queue.length >= (options.maxQueueSize ?? Number.POSITIVE_INFINITY)) {
+			switch (options.overflow) {
+				case 'dropOldest': {
+					const droppedCall = queue.shift();
+					settleHandlers(droppedCall.resolvers, {status: 'rejected', reason: new DebounceCancelledError('The call was dropped because the queue is full')});
+					break;
+				}
+
+				case 'collapse': {
+					const lastCall = queue.at(-1);
+					replaceWaitingCall(lastCall, context, arguments_);
+					const promise = addCaller(lastCall);
+					callHook(options.onSchedule, {arguments: arguments_});
+					callHook(options.onCoalesce, {arguments: arguments_, callCount: lastCall.resolvers.length});
+					return promise;
+				}
+
+				default: {
+					throw new DebounceCancelledError('The queue is full');
+				}
+			}
+		}
+
+		const call = {context, arguments: arguments_, resolvers: []};
+		queue.push(call);
+		const promise = addCaller(call);
+		callHook(options.onSchedule, {arguments: arguments_});
+
+		if (!state.currentPromise && !state.cooldown) {
+			startQueue(key, state);
+		}
+
+		return promise;
+	};
+
+	// Run `function_` for the given number of callers, and then the call queued by the `after` option, and settle with the outcome of the first execution
+	const startRun = async (key, state, context, arguments_, callers) => {
+		state.cachedResult = undefined;
+
+		state.currentPromise = (async () => {
+			const initialOutcome = await execute(state, context, arguments_, callers);
+			let outcome = initialOutcome.status === 'superseded' && isSharingSuperseded(options) ? undefined : initialOutcome;
+			let supersededResolvers = [];
 
 			// Process queued calls regardless of initial result
-			while (queuedCall) {
-				const call = queuedCall;
-				queuedCall = undefined;
-
-				try {
-					// eslint-disable-next-line no-await-in-loop
-					const queuedResult = await function_.apply(call.context, call.arguments);
-					for (const {resolve} of call.resolvers) {
-						resolve(queuedResult);
-					}
-				} catch (error) {
-					for (const {reject} of call.resolvers) {
-						reject(error);
-					}
+			while (state.queuedCall) {
+				// eslint-disable-next-line no-await-in-loop
+				const call = await takeQueuedCall(state);
+
+				// The queued call was cancelled during the cooldown
+				if (!call) {
+					break;
+				}
+
+				// eslint-disable-next-line no-await-in-loop
+				const queuedOutcome = await execute(state, call.context, call.arguments, supersededResolvers.length + call.resolvers.length);
+
+				if (queuedOutcome.status === 'superseded' && isSharingSuperseded(options)) {
+					supersededResolvers.push(...call.resolvers);
+					continue;
+				}
+
+				settleHandlers([...supersededResolvers, ...call.resolvers], queuedOutcome, options);
+				supersededResolvers = [];
+				outcome ??= queuedOutcome;
+			}
+
+			// The queued call that superseded the failed execution was cancelled before it could run
+			if (!outcome || supersededResolvers.length > 0) {
+				const failedOutcome = {status: 'rejected', reason: state.outcome.reason};
+				settleHandlers(supersededResolvers, failedOutcome);
+				outcome ??= failedOutcome;
+			}
+
+			if (outcome.status !== 'cancelled') {
+				cacheResult(key, state);
+			}
+
+			return new Promise((resolve, reject) => {
+				settleHandlers([{resolve, reject}], outcome, options);
+			});
+		})();
+
+		try {
+			return await state.currentPromise;
+		} finally {
+			state.currentPromise = undefined;
+			startCooldown(key, state);
+			cleanUp(key, state);
+		}
+	};
+
+	// Hold back new calls for the `cooldown` option after the executions settle, and then run the calls made in the meantime
+	const startCooldown = (key, state) => {
+		if (!(options.cooldown > 0)) {
+			return;
+		}
+
+		state.cooldown = true;
+
+		clock.setTimeout(() => {
+			state.cooldown = false;
+
+			if (state.queue?.length > 0) {
+				startQueue(key, state);
+			} else if (state.queuedCall) {
+				const call = state.queuedCall;
+				state.queuedCall = undefined;
+				const promise = startRun(key, state, call.context, call.arguments, call.resolvers.length);
+
+				for (const {resolve} of call.resolvers) {
+					resolve(promise);
 				}
 			}
 
-			if (initialError) {
-				throw initialError;
+			cleanUp(key, state);
+		}, options.cooldown);
+	};
+
+	const scheduleExecution = async (key, state, context, arguments_) => {
+		if (options.mode === 'queue') {
+			return enqueue(key, state, context, arguments_);
+		}
+
+		if (state.currentPromise && !options.after) {
+			state.execution.callers++;
+			callHook(options.onCoalesce, {arguments: arguments_, callCount: state.execution.callers});
+			return state.currentPromise;
+		}
+
+		if (state.currentPromise || state.cooldown) {
+			// Queue latest call (replacing or accumulating into any existing queue)
+			const isCoalesced = state.queuedCall !== undefined;
+
+			if (isCoalesced) {
+				replaceWaitingCall(state.queuedCall, context, arguments_);
+			} else {
+				state.queuedCall = {context, arguments: arguments_, resolvers: []};
+			}
+
+			// Failed executions are not retried with arguments that are now outdated
+			state.retryWait?.finish({status: 'superseded'});
+
+			const promise = addCaller(state.queuedCall);
+
+			if (isCoalesced) {
+				callHook(options.onCoalesce, {arguments: arguments_, callCount: state.queuedCall.resolvers.length});
+			}
+
+			return promise;
+		}
+
+		return startRun(key, state, context, arguments_, 1);
+	};
+
+	// Refresh the value served to callers with the `staleWhileRevalidate` option in the background, one refresh at a time
+	const revalidate = (key, state, context, arguments_) => {
+		if (state.revalidation) {
+			return;
+		}
+
+		state.revalidation = (async () => {
+			let value;
+
+			try {
+				value = await scheduleExecution(key, state, context, arguments_);
+			} catch (error) {
+				callHook(options.onRevalidateError, error);
+				return;
+			} finally {
+				state.revalidation = undefined;
 			}
 
-			return result;
+			callHook(options.onRevalidate, value);
 		})();
+	};
+
+	const schedule = async (context, arguments_) => {
+		if (options.signal?.aborted) {
+			throw createCancelledError(options.signal.reason);
+		}
+
+		const key = getKey?.(...arguments_);
+
+		// With `mode: 'queue'`, the call is only scheduled if the queue has room for it
+		if (options.mode !== 'queue') {
+			callHook(options.onSchedule, {arguments: arguments_});
+		}
+
+		let state = states.get(key);
+		if (!state) {
+			state = {};
+			states.set(key, state);
+		}
+
+		const {cachedResult} = state;
+		if (!state.currentPromise && cachedResult && clock.now() < cachedResult.expiresAt) {
+			if (cachedResult.outcome.status === 'rejected') {
+				throw cachedResult.outcome.reason;
+			}
+
+			return cachedResult.outcome.value;
+		}
+
+		if (state.staleValue) {
+			revalidate(key, state, context, arguments_);
+			return state.staleValue.value;
+		}
+
+		return scheduleExecution(key, state, context, arguments_);
+	};
+
+	const debounced = async function (...arguments_) {
+		pendingCallerCount++;
 
 		try {
-			return await currentPromise;
+			return await schedule(this, arguments_);
 		} finally {
-			currentPromise = undefined;
+			pendingCallerCount--;
+		}
+	};
+
+	debounced.cancel = (reason = createAbortError()) => {
+		let callers = 0;
+
+		for (const state of states.values()) {
+			const resolvers = takeWaitingCalls(state).flatMap(call => call.resolvers);
+			callers += resolvers.length;
+			state.retryWait?.finish({status: 'cancelled', reason});
+			settleCancelled(resolvers, reason, options);
+		}
+
+		if (callers > 0) {
+			callHook(options.onCancel, {reason, callers});
+		}
+	};
+
+	debounced.invalidate = () => {
+		for (const [key, state] of states) {
+			state.cachedResult = undefined;
+			state.staleValue = undefined;
+			cleanUp(key, state);
 		}
 	};
+
+	Object.defineProperties(debounced, {
+		isPending: {get: () => [...states.values()].some(state => state.queuedCall !== undefined || state.queue?.length > 0)},
+		isRunning: {get: () => [...states.values()].some(state => state.currentPromise !== undefined)},
+		pendingCallers: {get: () => pendingCallerCount},
+		lastResult: {get: () => lastResult},
+	});
+
+	return debounced;
 };
 
 export default pDebounce;
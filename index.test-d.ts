@@ -1,17 +1,176 @@
 import {expectType} from 'tsd';
-import pDebounce from './index.js';
+import {createVirtualClock, type VirtualClock} from './testing.js';
+import pDebounce, {
+	DebounceCancelledError,
+	DebounceTimeoutError,
+	SupersededError,
+	type DebouncedFunction,
+	type DebouncedPromiseFunction,
+	type KeyedDebouncedFunction,
+} from './index.js';
 
 const expensiveCall = async (input: number) => input;
 
 // Test basic return type
-expectType<(input: number) => Promise<number>>(pDebounce(expensiveCall, 200));
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200));
 
 // Test with signal option
 const controller = new AbortController();
-expectType<(input: number) => Promise<number>>(pDebounce(expensiveCall, 200, {signal: controller.signal}));
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {signal: controller.signal}));
 
 // Test with before option
-expectType<(input: number) => Promise<number>>(pDebounce(expensiveCall, 200, {before: true}));
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {before: true}));
+
+// Test with wait modes
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 'microtask'));
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 'frame'));
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, ({arguments: [input], callCount, elapsed}) => input + callCount + elapsed));
+
+// Test with before and after options
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {before: true, after: true}));
+
+// Test with maxWait option
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {maxWait: 1000}));
+
+// Test with accumulate option
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {accumulate: ([previous], [next]) => [previous + next]}));
+
+// Test with clock option
+const clock = createVirtualClock();
+expectType<VirtualClock>(clock);
+expectType<Promise<void>>(clock.advance(100));
+expectType<Promise<void>>(clock.runAll());
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {clock}));
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {clock: {setTimeout, clearTimeout, now: Date.now}}));
+
+// Test with abortPrevious option
+const search = async (query: string, signal: AbortSignal) => query;
+expectType<DebouncedFunction<unknown, [query: string], string>>(pDebounce(search, 200, {abortPrevious: true}));
+
+// Test with resolveOrder option
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {resolveOrder: 'latest'}));
+
+// Test with serial option
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {serial: true, before: true}));
+
+// Test with retry option
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {retry: 3}));
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {
+	retry: {
+		retries: 5,
+		minTimeout: 100,
+		maxTimeout: 10_000,
+		factor: 3,
+		jitter: false,
+		shouldRetry: (error, attempt) => attempt < 3,
+	},
+}));
+
+// Test with superseded option
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {superseded: 'reject'}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {after: true, superseded: 'undefined'}));
+expectType<'SupersededError'>(new SupersededError().name);
+
+// Test error classes
+expectType<'DebounceCancelledError'>(new DebounceCancelledError(undefined, {cause: new Error('Reason')}).name);
+expectType<'DebounceTimeoutError'>(new DebounceTimeoutError('Timed out').name);
+expectType<unknown>(new DebounceCancelledError().cause);
+
+// Test calling the debounced function
+expectType<Promise<number>>(pDebounce(expensiveCall, 200)(1));
+
+// Test withSignal method
+expectType<(input: number) => Promise<number>>(pDebounce(expensiveCall, 200).withSignal(controller.signal));
+
+// Test flush method
+expectType<Promise<number | undefined>>(pDebounce(expensiveCall, 200).flush());
+
+// Test cancel method
+expectType<void>(pDebounce(expensiveCall, 200).cancel());
+expectType<void>(pDebounce(expensiveCall, 200, {cancelValue: 0}).cancel(new Error('Cancelled')));
+
+// Test introspection properties
+const debounced = pDebounce(expensiveCall, 200);
+expectType<boolean>(debounced.isPending);
+expectType<boolean>(debounced.isRunning);
+expectType<number>(debounced.pendingCallers);
+expectType<PromiseSettledResult<number> | undefined>(debounced.lastResult);
+
+// Test keyed method
+const saveDocument = async (id: string, content: string) => content.length;
+expectType<KeyedDebouncedFunction<unknown, [id: string, content: string], number>>(pDebounce.keyed(saveDocument, 200));
+expectType<KeyedDebouncedFunction<unknown, [id: string, content: string], number>>(pDebounce.keyed(saveDocument, 200, {key: id => id, before: true}));
+expectType<Promise<number | undefined>>(pDebounce.keyed(saveDocument, 200).flush('a'));
+expectType<void>(pDebounce.keyed(saveDocument, 200).cancel('a'));
+expectType<number>(pDebounce.keyed(saveDocument, 200).size);
+expectType<(id: string, content: string) => Promise<number>>(pDebounce.keyed(saveDocument, 200).withSignal(controller.signal));
+
+// Test batch method
+const getUsers = async (argumentsList: Array<[id: number]>) => argumentsList.map(([id]) => ({id}));
+expectType<(id: number) => Promise<{id: number}>>(pDebounce.batch(getUsers, 10));
+expectType<(id: number) => Promise<{id: number}>>(pDebounce.batch(getUsers, 10, {maxBatchSize: 100}));
+const getUsersMap = async (argumentsList: Array<[id: number]>) => new Map(argumentsList.map(([id]) => [id, {id}]));
+expectType<(id: number) => Promise<{id: number}>>(pDebounce.batch(getUsersMap, 10));
+const getUsersOrErrors = async (argumentsList: Array<[id: number]>) => argumentsList.map(([id]) => id > 0 ? {id} : new Error('Invalid id'));
+expectType<(id: number) => Promise<{id: number}>>(pDebounce.batch(getUsersOrErrors, 10));
 
 // Test promise method
-expectType<(input: number) => Promise<number>>(pDebounce.promise(expensiveCall));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall));
+expectType<Promise<number>>(pDebounce.promise(expensiveCall)(1));
+expectType<void>(pDebounce.promise(expensiveCall, {after: true}).cancel());
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {after: true, retry: {retries: 2}}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {cacheFor: 1000, cacheRejectionsFor: 100}));
+expectType<void>(pDebounce.promise(expensiveCall, {cacheFor: 1000}).invalidate());
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {key: true}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {key: input => input % 10, after: true}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {timeout: 1000}));
+const load = async (url: string, signal: AbortSignal) => url;
+expectType<DebouncedPromiseFunction<unknown, [url: string], string>>(pDebounce.promise(load, {passSignal: true, signal: controller.signal, timeout: 1000}));
+const greet = async (name: string, greeting?: string) => `${greeting ?? 'hello'} ${name}`;
+expectType<DebouncedPromiseFunction<unknown, [name: string, greeting?: string], string>>(pDebounce.promise(greet, {signal: controller.signal}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {mode: 'queue', maxQueueSize: 10, overflow: 'dropOldest'}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {after: true, cooldown: 1000}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {
+	staleWhileRevalidate: true,
+	onRevalidate(value) {
+		expectType<number>(value);
+	},
+	onRevalidateError(error) {
+		expectType<unknown>(error);
+	},
+}));
+expectType<DebouncedFunction<unknown, [input: number], number>>(pDebounce(expensiveCall, 200, {
+	onSchedule(event) {
+		expectType<[input: number]>(event.arguments);
+	},
+	onCoalesce(event) {
+		expectType<[input: number]>(event.arguments);
+		expectType<number>(event.callCount);
+	},
+	onExecute(event) {
+		expectType<[input: number]>(event.arguments);
+	},
+	onSettle(event) {
+		expectType<number>(event.duration);
+		expectType<number>(event.callers);
+
+		if (event.status === 'fulfilled') {
+			expectType<number>(event.value);
+		}
+	},
+	onCancel(event) {
+		expectType<unknown>(event.reason);
+		expectType<number>(event.callers);
+	},
+}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {
+	onSettle(event) {
+		expectType<number>(event.callers);
+	},
+}));
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {clock: createVirtualClock(), cacheFor: 1000}));
+expectType<boolean>(pDebounce.promise(expensiveCall).isPending);
+expectType<boolean>(pDebounce.promise(expensiveCall).isRunning);
+expectType<number>(pDebounce.promise(expensiveCall).pendingCallers);
+expectType<PromiseSettledResult<number> | undefined>(pDebounce.promise(expensiveCall).lastResult);
+expectType<DebouncedPromiseFunction<unknown, [input: number], number>>(pDebounce.promise(expensiveCall, {after: true, accumulate: ([previous], [next]) => [previous + next]}));
@@ -1,7 +1,9 @@
 import {test} from 'node:test';
 import {strict as assert} from 'node:assert';
 import {setTimeout as delay} from 'node:timers/promises';
-import pDebounce from './index.js';
+import pDebounce, {
+	DebounceCancelledError,
+} from './index.js';
 
 const fixture = Symbol('fixture');
 
@@ -188,7 +190,7 @@ test('AbortSignal cancels debounced calls', async () => {
 	controller.abort();
 
 	await assert.rejects(promise, error => {
-		assert.equal(error.name, 'AbortError');
+		assert.ok(error instanceof DebounceCancelledError);
 		return true;
 	});
 
@@ -206,7 +208,7 @@ test('already aborted signal prevents execution', async () => {
 	const promise = debounced(1);
 
 	await assert.rejects(promise, error => {
-		assert.equal(error.name, 'AbortError');
+		assert.ok(error instanceof DebounceCancelledError);
 		return true;
 	});
 });
@@ -234,7 +236,7 @@ test('AbortSignal works with before option', async () => {
 	controller.abort();
 
 	await assert.rejects(promise2, error => {
-		assert.equal(error.name, 'AbortError');
+		assert.ok(error instanceof DebounceCancelledError);
 		return true;
 	});
 
@@ -259,9 +261,9 @@ test('multiple promises are cancelled together with AbortSignal', async () => {
 
 	controller.abort();
 
-	await assert.rejects(promise1, {name: 'AbortError'});
-	await assert.rejects(promise2, {name: 'AbortError'});
-	await assert.rejects(promise3, {name: 'AbortError'});
+	await assert.rejects(promise1, DebounceCancelledError);
+	await assert.rejects(promise2, DebounceCancelledError);
+	await assert.rejects(promise3, DebounceCancelledError);
 
 	assert.equal(callCount, 0);
 });
@@ -351,7 +353,7 @@ test('before option - all calls in window resolve to same leading value', async
 	assert.equal(callCount, 1, 'Function should only be called once');
 });
 
-test('abort rejects all pending callers with consistent AbortError', async () => {
+test('abort rejects all pending callers with consistent DebounceCancelledError', async () => {
 	const controller = new AbortController();
 
 	const debounced = pDebounce(async value => {
@@ -368,16 +370,17 @@ test('abort rejects all pending callers with consistent AbortError', async () =>
 	await delay(10);
 	controller.abort();
 
-	// All should reject with AbortError
+	// All should reject with DebounceCancelledError
 	const results = await Promise.allSettled([promise1, promise2, promise3]);
 	const errors = results
 		.filter(result => result.status === 'rejected')
 		.map(result => result.reason);
 
-	// All errors should be AbortError
+	// All errors should be DebounceCancelledError, caused by the abort reason
 	assert.equal(errors.length, 3);
 	for (const error of errors) {
-		assert.equal(error.name, 'AbortError');
+		assert.ok(error instanceof DebounceCancelledError);
+		assert.equal(error.cause, controller.signal.reason);
 	}
 });
 
@@ -670,13 +673,13 @@ test('abort signal during different phases', async () => {
 
 	// Abort before any call
 	controller1.abort();
-	await assert.rejects(debounced1(1), {name: 'AbortError'});
+	await assert.rejects(debounced1(1), DebounceCancelledError);
 
 	// Abort during wait period
 	const p2 = debounced2(2);
 	await delay(25);
 	controller2.abort();
-	await assert.rejects(p2, {name: 'AbortError'});
+	await assert.rejects(p2, DebounceCancelledError);
 
 	// Abort during execution
 	const p3 = debounced3(3);
@@ -955,7 +958,7 @@ test('debounce with AbortSignal.timeout', async () => {
 
 	// Should abort after 100ms timeout (during the debounce wait period)
 	// Different Node versions may use different error names
-	await assert.rejects(promise, error => error.name === 'TimeoutError' || error.name === 'AbortError');
+	await assert.rejects(promise, error => error instanceof DebounceCancelledError && (error.cause.name === 'TimeoutError' || error.cause.name === 'AbortError'));
 });
 
 test('before option with async error in leading call', async () => {
@@ -1008,7 +1011,7 @@ test('multiple abort controllers on same debounced function', async () => {
 	// Abort only the first one
 	controller1.abort();
 
-	await assert.rejects(p1, {name: 'AbortError'});
+	await assert.rejects(p1, DebounceCancelledError);
 
 	// Second should complete normally
 	const result2 = await p2;
@@ -1231,14 +1234,14 @@ test('abort signal during various execution phases', async () => {
 	// Test 1: Abort before any calls
 	const debounced1 = pDebounce(fn, 50, {signal: controller1.signal});
 	controller1.abort();
-	await assert.rejects(debounced1(1), {name: 'AbortError'});
+	await assert.rejects(debounced1(1), DebounceCancelledError);
 
 	// Test 2: Abort during wait period
 	const debounced2 = pDebounce(fn, 200, {signal: controller2.signal});
 	const p2 = debounced2(2);
 	await delay(100); // Wait during debounce period
 	controller2.abort();
-	await assert.rejects(p2, {name: 'AbortError'});
+	await assert.rejects(p2, DebounceCancelledError);
 
 	// Test 3: Abort during function execution (should complete)
 	executionStarted = false;
@@ -1279,7 +1282,7 @@ test('memory cleanup after abort', async () => {
 	assert.equal(calls, 0);
 
 	// New calls with same debounced function should still be rejected
-	await assert.rejects(debounced('new'), {name: 'AbortError'});
+	await assert.rejects(debounced('new'), DebounceCancelledError);
 });
 
 test('.promise() with after option - basic behavior', async () => {
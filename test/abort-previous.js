@@ -0,0 +1,95 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce from '../index.js';
+
+test('abortPrevious option - aborts the superseded execution', async () => {
+	const signals = [];
+
+	const debounced = pDebounce(async (value, signal) => {
+		signals.push(signal);
+		await delay(100, undefined, {signal});
+		return value;
+	}, 20, {abortPrevious: true});
+
+	const promise1 = debounced(1);
+	await delay(40); // First execution is running
+	const promise2 = debounced(2);
+
+	await assert.rejects(promise1, {name: 'AbortError'});
+	assert.equal(await promise2, 2);
+	assert.equal(signals.length, 2);
+	assert.equal(signals[0].aborted, true);
+	assert.equal(signals[1].aborted, false);
+});
+
+test('abortPrevious option - passes the signal after the accumulated arguments', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async (...arguments_) => {
+		calls.push(arguments_);
+	}, 20, {
+		abortPrevious: true,
+		accumulate: ([previous], [next]) => [previous + next],
+	});
+
+	await Promise.all([debounced(1), debounced(2)]);
+
+	assert.equal(calls.length, 1);
+	assert.equal(calls[0].length, 2);
+	assert.equal(calls[0][0], 3);
+	assert.ok(calls[0][1] instanceof AbortSignal);
+});
+
+test('abortPrevious option - cancel aborts the running execution', async () => {
+	let executionSignal;
+
+	const debounced = pDebounce(async (value, signal) => {
+		executionSignal = signal;
+		await delay(100, undefined, {signal});
+		return value;
+	}, 20, {abortPrevious: true});
+
+	const promise = debounced(1);
+	await delay(40);
+
+	const reason = new Error('Cancelled');
+	debounced.cancel(reason);
+
+	await assert.rejects(promise, {name: 'AbortError'});
+	assert.equal(executionSignal.reason, reason);
+});
+
+test('abortPrevious option - signal option aborts the running execution', async () => {
+	const controller = new AbortController();
+	let executionSignal;
+
+	const debounced = pDebounce(async (value, signal) => {
+		executionSignal = signal;
+		await delay(100, undefined, {signal});
+		return value;
+	}, 20, {abortPrevious: true, signal: controller.signal});
+
+	const promise = debounced(1);
+	await delay(40);
+	controller.abort();
+
+	await assert.rejects(promise, {name: 'AbortError'});
+	assert.equal(executionSignal.aborted, true);
+});
+
+test('abortPrevious option - with before option', async () => {
+	const signals = [];
+
+	const debounced = pDebounce(async (value, signal) => {
+		signals.push(signal);
+		return value;
+	}, 20, {before: true, after: true, abortPrevious: true});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2)]), [1, 2]);
+	assert.equal(signals.length, 2);
+
+	// The leading execution had already settled when the trailing one started, so there was nothing to abort
+	assert.equal(signals[0].aborted, false);
+	assert.equal(signals[1].aborted, false);
+});
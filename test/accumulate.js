@@ -0,0 +1,120 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('accumulate option - merges the arguments of all calls', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async (ids, label) => {
+		calls.push([ids, label]);
+		return ids;
+	}, 50, {
+		accumulate: ([previousIds], [nextIds, label]) => [[...previousIds, ...nextIds], label],
+	});
+
+	const results = await Promise.all([
+		debounced([1], 'a'),
+		debounced([2, 3], 'b'),
+		debounced([4], 'c'),
+	]);
+
+	assert.deepEqual(results, [[1, 2, 3, 4], [1, 2, 3, 4], [1, 2, 3, 4]]);
+	assert.deepEqual(calls, [[[1, 2, 3, 4], 'c']]);
+
+	// Reset after the execution
+	assert.deepEqual(await debounced([5], 'd'), [5]);
+});
+
+test('accumulate option - resets after errors and cancellation', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async ids => {
+		calls.push(ids);
+		if (ids.includes('error')) {
+			throw new Error('Failed');
+		}
+
+		return ids;
+	}, 30, {
+		accumulate: ([previousIds], [nextIds]) => [[...previousIds, ...nextIds]],
+	});
+
+	await Promise.all([
+		assert.rejects(debounced(['error']), {message: 'Failed'}),
+		assert.rejects(debounced([1]), {message: 'Failed'}),
+	]);
+
+	const promise = debounced([2]);
+	debounced.cancel();
+	await assert.rejects(promise, DebounceCancelledError);
+
+	assert.deepEqual(await debounced([3]), [3]);
+	assert.deepEqual(calls, [['error', 1], [3]]);
+});
+
+test('accumulate option - leading call is not accumulated', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async ids => {
+		calls.push(ids);
+		return ids;
+	}, 50, {
+		before: true,
+		after: true,
+		accumulate: ([previousIds], [nextIds]) => [[...previousIds, ...nextIds]],
+	});
+
+	const results = await Promise.all([debounced([1]), debounced([2]), debounced([3])]);
+
+	assert.deepEqual(results, [[1], [2, 3], [2, 3]]);
+	assert.deepEqual(calls, [[1], [2, 3]]);
+});
+
+test('accumulate option - errors reject only the calling caller', async () => {
+	const debounced = pDebounce(async value => value, 50, {
+		accumulate(previousArguments, nextArguments) {
+			if (nextArguments[0] === 'invalid') {
+				throw new TypeError('Invalid arguments');
+			}
+
+			return nextArguments;
+		},
+	});
+
+	const promise1 = debounced('valid');
+	await assert.rejects(debounced('invalid'), TypeError);
+	assert.equal(await promise1, 'valid');
+});
+
+test('accumulate option - validation', async () => {
+	assert.throws(() => pDebounce(async () => {}, 100, {accumulate: true}), TypeError);
+	assert.throws(() => pDebounce.promise(async () => {}, {accumulate: true}), TypeError);
+});
+
+test('.promise() with after option - accumulate option merges queued arguments', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async ids => {
+		calls.push(ids);
+		await delay(50);
+		return ids;
+	}, {
+		after: true,
+		accumulate: ([previousIds], [nextIds]) => [[...previousIds, ...nextIds]],
+	});
+
+	const results = await Promise.all([
+		debounced([1]),
+		debounced([2]),
+		debounced([3]),
+	]);
+
+	assert.deepEqual(results, [[1], [2, 3], [2, 3]]);
+	assert.deepEqual(calls, [[1], [2, 3]]);
+
+	// Reset after the queued call ran
+	assert.deepEqual(await debounced([4]), [4]);
+});
@@ -0,0 +1,119 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {createVirtualClock} from '../testing.js';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('.batch() - passes all arguments and routes results per caller', async () => {
+	const batches = [];
+
+	const batched = pDebounce.batch(async argumentsList => {
+		batches.push(argumentsList);
+		return argumentsList.map(([a, b]) => a + b);
+	}, 50);
+
+	const results = await Promise.all([
+		batched(1, 2),
+		batched(3, 4),
+		batched(5, 6),
+	]);
+
+	assert.deepEqual(results, [3, 7, 11]);
+	assert.deepEqual(batches, [[[1, 2], [3, 4], [5, 6]]]);
+});
+
+test('.batch() - results as Map', async () => {
+	const batched = pDebounce.batch(async argumentsList => new Map(argumentsList.map(([id]) => [id, `user-${id}`])), 50);
+
+	assert.deepEqual(await Promise.all([batched(2), batched(1), batched(2)]), ['user-2', 'user-1', 'user-2']);
+});
+
+test('.batch() - per-item errors only reject their own caller', async () => {
+	const error = new Error('Not found');
+
+	const batched = pDebounce.batch(async argumentsList => argumentsList.map(([id]) => id === 2 ? error : id), 50);
+
+	const results = await Promise.allSettled([batched(1), batched(2), batched(3)]);
+
+	assert.deepEqual(results, [
+		{status: 'fulfilled', value: 1},
+		{status: 'rejected', reason: error},
+		{status: 'fulfilled', value: 3},
+	]);
+});
+
+test('.batch() - rejects all callers when fn throws or returns the wrong number of results', async () => {
+	const throwing = pDebounce.batch(async () => {
+		throw new Error('Batch error');
+	}, 20);
+
+	const results = await Promise.allSettled([throwing(1), throwing(2)]);
+	assert.deepEqual(results.map(({reason}) => reason.message), ['Batch error', 'Batch error']);
+
+	const mismatched = pDebounce.batch(async () => [1], 20);
+	await Promise.all([
+		assert.rejects(mismatched(1), TypeError),
+		assert.rejects(mismatched(2), TypeError),
+	]);
+});
+
+test('.batch() - maxBatchSize triggers an early flush', async () => {
+	const batches = [];
+
+	const batched = pDebounce.batch(async argumentsList => {
+		batches.push(argumentsList.map(([id]) => id));
+		return argumentsList.map(([id]) => id);
+	}, 1000, {maxBatchSize: 2});
+
+	const start = Date.now();
+	assert.deepEqual(await Promise.all([batched(1), batched(2)]), [1, 2]);
+	assert.ok(Date.now() - start < 100);
+
+	const promise = batched(3);
+	assert.equal(await batched(4), 4);
+	assert.equal(await promise, 3);
+	assert.deepEqual(batches, [[1, 2], [3, 4]]);
+});
+
+test('.batch() - with signal', async () => {
+	let count = 0;
+	const controller = new AbortController();
+
+	const batched = pDebounce.batch(async argumentsList => {
+		count++;
+		return argumentsList;
+	}, 50, {signal: controller.signal});
+
+	const promise1 = batched(1);
+	const promise2 = batched(2);
+	controller.abort();
+
+	await assert.rejects(promise1, DebounceCancelledError);
+	await assert.rejects(promise2, DebounceCancelledError);
+	await assert.rejects(batched(3), DebounceCancelledError);
+	assert.equal(count, 0);
+});
+
+test('.batch() - validation', async () => {
+	assert.throws(() => pDebounce.batch(async () => [], Number.NaN), TypeError);
+	assert.throws(() => pDebounce.batch(async () => [], 10, {maxBatchSize: 0}), TypeError);
+	assert.throws(() => pDebounce.batch(async () => [], 10, {maxBatchSize: 1.5}), TypeError);
+	assert.throws(() => pDebounce.batch(async () => [], 10, {clock: {}}), TypeError);
+
+	for (const options of [{before: true}, {maxWait: 1}, {accumulate() {}}, {serial: true}, {retry: 1}, {onSchedule() {}}]) {
+		const [name] = Object.keys(options);
+
+		assert.throws(() => pDebounce.batch(async () => [], 10, options), {
+			name: 'TypeError',
+			message: `The \`${name}\` option is not supported by \`pDebounce.batch()\``,
+		});
+	}
+
+	assert.doesNotThrow(() => pDebounce.batch(async () => [], 10, {
+		maxBatchSize: 2,
+		clock: createVirtualClock(),
+		signal: new AbortController().signal,
+		before: undefined,
+	}));
+});
@@ -0,0 +1,65 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce from '../index.js';
+
+test('before and after options - calls fn on both edges', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 100, {before: true, after: true});
+
+	const results = await Promise.all([1, 2, 3, 4].map(value => debounced(value)));
+
+	assert.deepEqual(results, [1, 4, 4, 4]);
+	assert.deepEqual(calls, [1, 4]);
+});
+
+test('before and after options - single call only calls fn once', async () => {
+	let count = 0;
+
+	const debounced = pDebounce(async value => {
+		count++;
+		return value;
+	}, 50, {before: true, after: true});
+
+	assert.equal(await debounced(1), 1);
+	await delay(100);
+	assert.equal(count, 1);
+
+	// The next burst starts on the leading edge again
+	assert.equal(await debounced(2), 2);
+	assert.equal(count, 2);
+});
+
+test('before and after options - trailing error rejects only later callers', async () => {
+	const debounced = pDebounce(async value => {
+		if (value === 'error') {
+			throw new Error('Trailing error');
+		}
+
+		return value;
+	}, 50, {before: true, after: true});
+
+	const promise1 = debounced('first');
+	const promise2 = debounced('error');
+
+	assert.equal(await promise1, 'first');
+	await assert.rejects(promise2, {message: 'Trailing error'});
+});
+
+test('after option without before has no effect', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 50, {after: true});
+
+	const results = await Promise.all([1, 2, 3].map(value => debounced(value)));
+
+	assert.deepEqual(results, [3, 3, 3]);
+	assert.deepEqual(calls, [3]);
+});
@@ -0,0 +1,120 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('.cancel() - rejects pending callers and keeps the function usable', async () => {
+	let count = 0;
+
+	const debounced = pDebounce(async value => {
+		count++;
+		return value;
+	}, 50);
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	debounced.cancel();
+
+	await assert.rejects(promise1, DebounceCancelledError);
+	await assert.rejects(promise2, DebounceCancelledError);
+	await delay(100);
+	assert.equal(count, 0);
+
+	assert.equal(await debounced(3), 3);
+	assert.equal(count, 1);
+});
+
+test('.cancel() - with custom reason', async () => {
+	const debounced = pDebounce(async value => value, 50);
+	const reason = new Error('Cancelled');
+
+	const promise = debounced(1);
+	debounced.cancel(reason);
+
+	await assert.rejects(promise, {name: 'DebounceCancelledError', cause: reason});
+});
+
+test('.cancel() - resolves with cancelValue option', async () => {
+	const debounced = pDebounce(async value => value, 50, {cancelValue: 'fallback'});
+
+	const promise = debounced(1);
+	debounced.cancel();
+
+	assert.equal(await promise, 'fallback');
+});
+
+test('.cancel() - does not affect the leading call with before option', async () => {
+	let count = 0;
+
+	const debounced = pDebounce(async value => {
+		count++;
+		await delay(20);
+		return value;
+	}, 50, {before: true});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	debounced.cancel();
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.equal(await promise1, 1);
+
+	// The next call is a leading call again
+	assert.equal(await debounced(3), 3);
+	assert.equal(count, 2);
+});
+
+test('.cancel() - removes the abort listener', async () => {
+	const controller = new AbortController();
+	const debounced = pDebounce(async value => value, 50, {signal: controller.signal});
+
+	const promise = debounced(1);
+	const reason = new Error('Cancelled');
+	debounced.cancel(reason);
+	controller.abort();
+
+	await assert.rejects(promise, {cause: reason});
+});
+
+test('.promise() - .cancel() discards the queued call', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(50);
+		return value;
+	}, {after: true});
+
+	const promise1 = debounced('first');
+	const promise2 = debounced('second');
+	debounced.cancel();
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.equal(await promise1, 'first');
+	assert.deepEqual(calls, ['first']);
+
+	// Still usable afterwards
+	assert.equal(await debounced('third'), 'third');
+});
+
+test('.promise() - .cancel() resolves queued callers with cancelValue option', async () => {
+	const debounced = pDebounce.promise(async value => {
+		await delay(50);
+		return value;
+	}, {after: true, cancelValue: 'fallback'});
+
+	const promise1 = debounced('first');
+	const promise2 = debounced('second');
+	debounced.cancel();
+
+	assert.equal(await promise1, 'first');
+	assert.equal(await promise2, 'fallback');
+});
+
+test('.promise() - .cancel() without a queued call is a no-op', async () => {
+	const debounced = pDebounce.promise(async value => value);
+	debounced.cancel();
+	assert.equal(await debounced(1), 1);
+});
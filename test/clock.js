@@ -0,0 +1,114 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {createVirtualClock} from '../testing.js';
+import pDebounce from '../index.js';
+
+test('clock option - drives timers with virtual time', async () => {
+	const calls = [];
+	const clock = createVirtualClock();
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 1000, {clock});
+
+	const promise1 = debounced(1);
+	await clock.advance(999);
+	const promise2 = debounced(2);
+	await clock.advance(999);
+	assert.deepEqual(calls, []);
+	assert.equal(debounced.isPending, true);
+
+	await clock.advance(1);
+	assert.deepEqual(calls, [2]);
+	assert.deepEqual(await Promise.all([promise1, promise2]), [2, 2]);
+	assert.equal(clock.now(), 1999);
+	assert.equal(clock.pendingTimers, 0);
+});
+
+test('clock option - with before option and batch', async () => {
+	const clock = createVirtualClock({now: 100});
+
+	const debounced = pDebounce(async value => value, 500, {before: true, clock});
+	assert.equal(await debounced(1), 1);
+	const promise = debounced(2);
+	await clock.runAll();
+	assert.equal(await promise, 1);
+	assert.equal(clock.now(), 600);
+
+	const batched = pDebounce.batch(async argumentsList => argumentsList.map(([value]) => value * 2), 500, {clock});
+	const promises = [batched(1), batched(2)];
+	await clock.advance(500);
+	assert.deepEqual(await Promise.all(promises), [2, 4]);
+});
+
+test('clock option - runAll guards against infinite loops', async () => {
+	const clock = createVirtualClock();
+
+	const loop = () => {
+		clock.setTimeout(loop, 10);
+	};
+
+	loop();
+	await assert.rejects(clock.runAll({limit: 5}), /infinite loop/);
+});
+
+test('clock option - validation', async () => {
+	assert.throws(() => pDebounce(async () => {}, 100, {clock: {}}), TypeError);
+	assert.throws(() => pDebounce(async () => {}, 100, {clock: {setTimeout() {}, clearTimeout() {}}}), TypeError);
+	assert.doesNotThrow(() => pDebounce(async () => {}, 100, {clock: createVirtualClock()}));
+	await assert.rejects(createVirtualClock().advance(-1), TypeError);
+});
+
+test('.promise() with clock option - uses it for the cache, timeout, and retry timers', async () => {
+	const clock = createVirtualClock();
+	let attempts = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		attempts++;
+
+		if (attempts === 1) {
+			throw new Error('Failed');
+		}
+
+		if (attempts === 2) {
+			return new Promise(() => {}); // Never settles
+		}
+
+		return attempts;
+	}, {
+		clock,
+		cacheFor: 1000,
+		timeout: 500,
+		retry: {retries: 2, minTimeout: 100, jitter: false},
+	});
+
+	const promise = debounced();
+	await clock.advance(99);
+	assert.equal(attempts, 1);
+
+	await clock.advance(1); // First retry, which gets stuck
+	assert.equal(attempts, 2);
+
+	await clock.advance(500); // Timed out, and retried after 200 milliseconds
+	assert.equal(attempts, 2);
+	await clock.advance(200);
+	assert.equal(attempts, 3);
+	assert.equal(await promise, 3);
+
+	await clock.advance(999);
+	assert.equal(await debounced(), 3);
+	assert.equal(attempts, 3);
+
+	await clock.advance(1);
+	const nextPromise = debounced();
+	await clock.runAll();
+	assert.equal(await nextPromise, 4);
+});
+
+test('.promise() with clock option - validates the clock', () => {
+	assert.throws(() => pDebounce.promise(async () => {}, {clock: {}}), {
+		name: 'TypeError',
+		message: 'Expected `clock` to have `setTimeout`, `clearTimeout`, and `now` methods',
+	});
+});
@@ -0,0 +1,29 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import pDebounce, {
+	DebounceCancelledError,
+	DebounceTimeoutError,
+	SupersededError,
+} from '../index.js';
+
+test('error classes - have a name and a cause', () => {
+	const cause = new Error('Reason');
+
+	for (const ErrorClass of [DebounceCancelledError, SupersededError, DebounceTimeoutError]) {
+		const error = new ErrorClass(undefined, {cause});
+
+		assert.ok(error instanceof Error);
+		assert.equal(error.name, ErrorClass.name);
+		assert.equal(error.cause, cause);
+		assert.equal(typeof error.message, 'string');
+	}
+});
+
+test('error classes - .cancel() rejects with the reason as the cause', async () => {
+	const debounced = pDebounce(async value => value, 50);
+
+	const promise = debounced(1);
+	debounced.cancel();
+
+	await assert.rejects(promise, error => error instanceof DebounceCancelledError && error.cause.name === 'AbortError');
+});
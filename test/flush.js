@@ -0,0 +1,80 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce from '../index.js';
+
+test('.flush() - calls fn immediately with the latest arguments', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async function (value) {
+		calls.push({context: this, value});
+		return value;
+	}, 1000);
+
+	const object = {debounced};
+	const start = Date.now();
+	const promise1 = object.debounced(1);
+	const promise2 = object.debounced(2);
+
+	assert.equal(await debounced.flush(), 2);
+	assert.deepEqual(await Promise.all([promise1, promise2]), [2, 2]);
+	assert.ok(Date.now() - start < 100);
+	assert.deepEqual(calls, [{context: object, value: 2}]);
+
+	// The timer is cleared, so `fn` is not called again
+	await delay(50);
+	assert.equal(await debounced.flush(), undefined);
+	assert.equal(calls.length, 1);
+});
+
+test('.flush() - resolves to undefined when nothing is pending', async () => {
+	let count = 0;
+
+	const debounced = pDebounce(async () => {
+		count++;
+	}, 50);
+
+	assert.equal(await debounced.flush(), undefined);
+	assert.equal(count, 0);
+});
+
+test('.flush() - rejects along with pending callers', async () => {
+	const debounced = pDebounce(async () => {
+		throw new Error('Flush error');
+	}, 1000);
+
+	const promise = debounced();
+
+	await assert.rejects(debounced.flush(), {message: 'Flush error'});
+	await assert.rejects(promise, {message: 'Flush error'});
+});
+
+test('.flush() - with before option does not call fn again', async () => {
+	let count = 0;
+
+	const debounced = pDebounce(async value => {
+		count++;
+		return value;
+	}, 1000, {before: true});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	assert.equal(await promise1, 1);
+
+	assert.equal(await debounced.flush(), 1);
+	assert.equal(await promise2, 1);
+	assert.equal(count, 1);
+});
+
+test('.flush() - with before option waits for the running leading call', async () => {
+	const debounced = pDebounce(async value => {
+		await delay(20);
+		return value;
+	}, 1000, {before: true});
+
+	const promise = debounced(1);
+	assert.equal(debounced.isRunning, true);
+
+	assert.equal(await debounced.flush(), 1);
+	assert.equal(await promise, 1);
+});
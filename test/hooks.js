@@ -0,0 +1,275 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import {createVirtualClock} from '../testing.js';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('lifecycle hooks report scheduling, executions, and settling', async () => {
+	const clock = createVirtualClock();
+	const events = [];
+
+	const debounced = pDebounce(async value => {
+		await clock.advance(0);
+		return value;
+	}, 100, {
+		clock,
+		onSchedule: event => events.push(['schedule', event]),
+		onCoalesce: event => events.push(['coalesce', event]),
+		onExecute: event => events.push(['execute', event]),
+		onSettle: event => events.push(['settle', event]),
+	});
+
+	const promises = [debounced(1), debounced(2), debounced(3)];
+	await clock.advance(100);
+
+	assert.deepEqual(await Promise.all(promises), [3, 3, 3]);
+	assert.deepEqual(events, [
+		['schedule', {arguments: [1]}],
+		['schedule', {arguments: [2]}],
+		['coalesce', {arguments: [2], callCount: 2}],
+		['schedule', {arguments: [3]}],
+		['coalesce', {arguments: [3], callCount: 3}],
+		['execute', {arguments: [3]}],
+		['settle', {
+			status: 'fulfilled',
+			value: 3,
+			duration: 0,
+			callers: 3,
+		}],
+	]);
+});
+
+test('lifecycle hooks do not report calls that were rejected before being scheduled', async () => {
+	const scheduled = [];
+
+	const debounced = pDebounce(async value => value, ({arguments: [value]}) => value === 'invalid' ? Number.NaN : 10, {
+		onSchedule: ({arguments: [value]}) => scheduled.push(value),
+	});
+
+	await assert.rejects(debounced('invalid'), {name: 'TypeError'});
+	await assert.rejects(debounced.withSignal(AbortSignal.abort())('aborted'), DebounceCancelledError);
+	assert.equal(await debounced('valid'), 'valid');
+	assert.deepEqual(scheduled, ['valid']);
+});
+
+test('lifecycle hooks report the duration and failures', async () => {
+	const clock = createVirtualClock();
+	const settled = [];
+	const error = new Error('Failed');
+
+	const debounced = pDebounce(async () => {
+		await new Promise(resolve => {
+			clock.setTimeout(resolve, 50);
+		});
+
+		throw error;
+	}, 100, {clock, onSettle: event => settled.push(event)});
+
+	const promise = assert.rejects(debounced(), error);
+	await clock.runAll();
+	await promise;
+
+	assert.deepEqual(settled, [{
+		status: 'rejected',
+		reason: error,
+		duration: 50,
+		callers: 1,
+	}]);
+});
+
+test('lifecycle hooks report cancelled calls', async () => {
+	const cancelled = [];
+	const controller = new AbortController();
+	const debounced = pDebounce(async value => value, 100, {signal: controller.signal, onCancel: event => cancelled.push(event)});
+
+	const reason = new Error('Cancelled');
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	debounced.cancel(reason);
+
+	await assert.rejects(promise1, DebounceCancelledError);
+	await assert.rejects(promise2, DebounceCancelledError);
+
+	const promise3 = debounced(3);
+	controller.abort(reason);
+	await assert.rejects(promise3, DebounceCancelledError);
+
+	// Nothing to cancel
+	debounced.cancel();
+
+	assert.deepEqual(cancelled, [{reason, callers: 2}, {reason, callers: 1}]);
+});
+
+test('lifecycle hooks that throw do not affect the calls', async () => {
+	const throwingHook = () => {
+		throw new Error('Hook failed');
+	};
+
+	const debounced = pDebounce(async value => value, 10, {
+		onSchedule: throwingHook,
+		onCoalesce: throwingHook,
+		onExecute: throwingHook,
+		onSettle: throwingHook,
+		onCancel: throwingHook,
+	});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2)]), [2, 2]);
+
+	const promise = debounced(3);
+	debounced.cancel();
+	await assert.rejects(promise, DebounceCancelledError);
+});
+
+test('lifecycle hooks are validated', () => {
+	assert.throws(() => pDebounce(async () => {}, 100, {onSettle: true}), {
+		name: 'TypeError',
+		message: 'Expected `onSettle` to be a function',
+	});
+});
+
+test('.promise() lifecycle hooks report scheduling, executions, and settling', async () => {
+	const events = [];
+
+	const debounced = pDebounce.promise(async value => {
+		await delay(20);
+		return value;
+	}, {
+		onSchedule: event => events.push(['schedule', event.arguments]),
+		onCoalesce: event => events.push(['coalesce', event]),
+		onExecute: event => events.push(['execute', event.arguments]),
+		onSettle: ({duration, ...event}) => events.push(['settle', event]),
+	});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2), debounced(3)]), [1, 1, 1]);
+	assert.deepEqual(events, [
+		['schedule', [1]],
+		['execute', [1]],
+		['schedule', [2]],
+		['coalesce', {arguments: [2], callCount: 2}],
+		['schedule', [3]],
+		['coalesce', {arguments: [3], callCount: 3}],
+		['settle', {status: 'fulfilled', value: 1, callers: 3}],
+	]);
+});
+
+test('.promise() lifecycle hooks report the callers of queued calls', async () => {
+	const settled = [];
+
+	const debounced = pDebounce.promise(async value => {
+		await delay(10);
+		return value;
+	}, {after: true, onSettle: ({value, callers, duration}) => settled.push({value, callers, hasDuration: duration >= 0})});
+
+	await Promise.all([debounced(1), debounced(2), debounced(3)]);
+
+	assert.deepEqual(settled, [
+		{value: 1, callers: 1, hasDuration: true},
+		{value: 3, callers: 2, hasDuration: true},
+	]);
+});
+
+test('.promise() lifecycle hooks report calls coalesced into a queued call', async () => {
+	const coalesced = [];
+
+	const debounced = pDebounce.promise(async value => {
+		await delay(10);
+		return value;
+	}, {after: true, onCoalesce: event => coalesced.push(event)});
+
+	await Promise.all([debounced(1), debounced(2), debounced(3), debounced(4)]);
+
+	assert.deepEqual(coalesced, [
+		{arguments: [3], callCount: 2},
+		{arguments: [4], callCount: 3},
+	]);
+});
+
+test('.promise() lifecycle hooks report the callers of calls coalesced during the cooldown', async () => {
+	const clock = createVirtualClock();
+	const coalesced = [];
+	const settled = [];
+
+	const debounced = pDebounce.promise(async value => value, {
+		cooldown: 100,
+		clock,
+		onCoalesce: event => coalesced.push(event),
+		onSettle: ({callers}) => settled.push(callers),
+	});
+
+	await debounced(1);
+	const promises = [debounced(2), debounced(3), debounced(4)]; // During the cooldown
+	await clock.runAll();
+
+	assert.deepEqual(await Promise.all(promises), [4, 4, 4]);
+	assert.deepEqual(coalesced, [
+		{arguments: [3], callCount: 2},
+		{arguments: [4], callCount: 3},
+	]);
+	assert.deepEqual(settled, [1, 3]);
+});
+
+test('.promise() lifecycle hooks do not report calls that were rejected before being scheduled', async () => {
+	const scheduled = [];
+
+	const debounced = pDebounce.promise(async value => {
+		await delay(10);
+		return value;
+	}, {
+		key: true,
+		mode: 'queue',
+		maxQueueSize: 1,
+		onSchedule: ({arguments: [value]}) => scheduled.push(value),
+	});
+
+	await assert.rejects(debounced(() => {}), {name: 'TypeError'});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(1);
+	await assert.rejects(debounced(1), DebounceCancelledError); // The queue is full
+	await Promise.all([promise1, promise2]);
+
+	assert.deepEqual(scheduled, [1, 1]);
+});
+
+test('.promise() lifecycle hooks report cancelled calls', async () => {
+	const cancelled = [];
+
+	const debounced = pDebounce.promise(async value => {
+		await delay(10);
+		return value;
+	}, {after: true, onCancel: event => cancelled.push(event)});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+
+	const reason = new Error('Cancelled');
+	debounced.cancel(reason);
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	await assert.rejects(promise3, DebounceCancelledError);
+	assert.equal(await promise1, 1);
+	assert.deepEqual(cancelled, [{reason, callers: 2}]);
+});
+
+test('.promise() lifecycle hooks that throw do not affect the calls', async () => {
+	const throwingHook = () => {
+		throw new Error('Hook failed');
+	};
+
+	const debounced = pDebounce.promise(async value => value, {
+		onSchedule: throwingHook,
+		onCoalesce: throwingHook,
+		onExecute: throwingHook,
+		onSettle: throwingHook,
+	});
+
+	assert.equal(await debounced(1), 1);
+
+	assert.throws(() => pDebounce.promise(async () => {}, {onCancel: 'hook'}), {
+		name: 'TypeError',
+		message: 'Expected `onCancel` to be a function',
+	});
+});
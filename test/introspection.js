@@ -0,0 +1,105 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('introspection - reports each lifecycle phase', async () => {
+	const debounced = pDebounce(async value => {
+		await delay(50);
+		return value;
+	}, 50);
+
+	assert.equal(debounced.isPending, false);
+	assert.equal(debounced.isRunning, false);
+	assert.equal(debounced.pendingCallers, 0);
+	assert.equal(debounced.lastResult, undefined);
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+
+	// Waiting for `wait`
+	assert.equal(debounced.isPending, true);
+	assert.equal(debounced.isRunning, false);
+	assert.equal(debounced.pendingCallers, 2);
+
+	// Executing
+	await delay(70);
+	assert.equal(debounced.isPending, false);
+	assert.equal(debounced.isRunning, true);
+	assert.equal(debounced.pendingCallers, 2);
+
+	// Settled
+	await Promise.all([promise1, promise2]);
+	assert.equal(debounced.isPending, false);
+	assert.equal(debounced.isRunning, false);
+	assert.equal(debounced.pendingCallers, 0);
+	assert.deepEqual(debounced.lastResult, {status: 'fulfilled', value: 2});
+});
+
+test('introspection - lastResult reports errors', async () => {
+	const error = new Error('Failed');
+	const debounced = pDebounce(async () => {
+		throw error;
+	}, 20);
+
+	await assert.rejects(debounced(), error);
+	assert.deepEqual(debounced.lastResult, {status: 'rejected', reason: error});
+});
+
+test('introspection - with before option and cancel', async () => {
+	const debounced = pDebounce(async value => {
+		await delay(20);
+		return value;
+	}, 50, {before: true});
+
+	const promise1 = debounced(1);
+	assert.equal(debounced.isPending, true);
+	assert.equal(debounced.isRunning, true);
+
+	const promise2 = debounced(2);
+	assert.equal(debounced.pendingCallers, 2);
+
+	debounced.cancel();
+	assert.equal(debounced.isPending, false);
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.equal(await promise1, 1);
+	assert.equal(debounced.pendingCallers, 0);
+	assert.deepEqual(debounced.lastResult, {status: 'fulfilled', value: 1});
+});
+
+test('introspection - properties are read-only', async () => {
+	const debounced = pDebounce(async value => value, 20);
+
+	assert.throws(() => {
+		debounced.isPending = true;
+	}, TypeError);
+});
+
+test('.promise() - introspection reports each lifecycle phase', async () => {
+	const debounced = pDebounce.promise(async value => {
+		await delay(50);
+		return value;
+	}, {after: true});
+
+	assert.equal(debounced.isRunning, false);
+	assert.equal(debounced.lastResult, undefined);
+
+	const promise1 = debounced('first');
+	assert.equal(debounced.isRunning, true);
+	assert.equal(debounced.isPending, false);
+	assert.equal(debounced.pendingCallers, 1);
+
+	const promise2 = debounced('second');
+	assert.equal(debounced.isPending, true);
+	assert.equal(debounced.pendingCallers, 2);
+
+	assert.equal(await promise1, 'first');
+	assert.equal(await promise2, 'second');
+	assert.equal(debounced.isRunning, false);
+	assert.equal(debounced.isPending, false);
+	assert.equal(debounced.pendingCallers, 0);
+	assert.deepEqual(debounced.lastResult, {status: 'fulfilled', value: 'second'});
+});
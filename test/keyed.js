@@ -0,0 +1,128 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('.keyed() - debounces each key independently', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.keyed(async (id, content) => {
+		calls.push([id, content]);
+		return `${id}:${content}`;
+	}, 50);
+
+	const results = await Promise.all([
+		debounced('a', 1),
+		debounced('b', 1),
+		debounced('a', 2),
+		debounced('b', 2),
+		debounced('c', 1),
+	]);
+
+	assert.deepEqual(results, ['a:2', 'b:2', 'a:2', 'b:2', 'c:1']);
+	assert.deepEqual(calls, [['a', 2], ['b', 2], ['c', 1]]);
+});
+
+test('.keyed() - custom key and this', async () => {
+	const contexts = [];
+
+	const debounced = pDebounce.keyed(async function (document) {
+		contexts.push(this);
+		return document.content;
+	}, 50, {key: document => document.id});
+
+	const object = {debounced};
+	const results = await Promise.all([
+		object.debounced({id: 1, content: 'a'}),
+		object.debounced({id: 1, content: 'b'}),
+		object.debounced({id: 2, content: 'c'}),
+	]);
+
+	assert.deepEqual(results, ['b', 'b', 'c']);
+	assert.deepEqual(contexts, [object, object]);
+});
+
+test('.keyed() - evicts idle keys', async () => {
+	const debounced = pDebounce.keyed(async id => id, 20);
+
+	const promise1 = debounced('a');
+	const promise2 = debounced('b');
+	assert.equal(debounced.size, 2);
+
+	await Promise.all([promise1, promise2]);
+	assert.equal(debounced.size, 0);
+});
+
+test('.keyed() - evicts idle keys with before option', async () => {
+	const calls = [];
+	const debounced = pDebounce.keyed(async id => {
+		calls.push(id);
+		return id;
+	}, 20, {before: true});
+
+	assert.equal(await debounced('a'), 'a');
+	assert.equal(debounced.size, 1);
+
+	await delay(50);
+	assert.equal(debounced.size, 0);
+
+	// The next call for the key is a leading call again
+	assert.equal(await debounced('a'), 'a');
+	assert.deepEqual(calls, ['a', 'a']);
+});
+
+test('.keyed() - flush and cancel per key', async () => {
+	const calls = [];
+	const debounced = pDebounce.keyed(async id => {
+		calls.push(id);
+		return id;
+	}, 1000);
+
+	const promiseA = debounced('a');
+	const promiseB = debounced('b');
+
+	assert.equal(await debounced.flush('a'), 'a');
+	assert.equal(await promiseA, 'a');
+
+	debounced.cancel('b');
+	await assert.rejects(promiseB, DebounceCancelledError);
+
+	assert.deepEqual(calls, ['a']);
+	assert.equal(debounced.size, 0);
+	assert.equal(await debounced.flush('missing'), undefined);
+});
+
+test('.keyed() - with signal', async () => {
+	const controller = new AbortController();
+	const debounced = pDebounce.keyed(async id => id, 50, {signal: controller.signal});
+
+	const promiseA = debounced('a');
+	const promiseB = debounced('b');
+	controller.abort();
+
+	await assert.rejects(promiseA, DebounceCancelledError);
+	await assert.rejects(promiseB, DebounceCancelledError);
+	assert.equal(debounced.size, 0);
+});
+
+test('.keyed() - validation', async () => {
+	assert.throws(() => pDebounce.keyed(async () => {}, Number.NaN), TypeError);
+	assert.throws(() => pDebounce.keyed(async () => {}, 100, {key: 'id'}), TypeError);
+});
+
+test('.keyed() - rejects the call when the key function throws', async () => {
+	const error = new Error('No key');
+
+	const debounced = pDebounce.keyed(async value => value, 10, {
+		key() {
+			throw error;
+		},
+	});
+
+	const promise = debounced(1);
+	assert.ok(promise instanceof Promise);
+	await assert.rejects(promise, error);
+	await assert.rejects(debounced.withSignal(new AbortController().signal)(1), error);
+});
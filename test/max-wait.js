@@ -0,0 +1,94 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import {createVirtualClock} from '../testing.js';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('maxWait option - calls fn during a continuous stream of calls', async () => {
+	const calls = [];
+	const clock = createVirtualClock();
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 50, {maxWait: 120, clock});
+
+	const promises = [];
+	for (let index = 1; index <= 8; index++) {
+		promises.push(debounced(index));
+		// eslint-disable-next-line no-await-in-loop
+		await clock.advance(30);
+	}
+
+	await clock.runAll();
+
+	// Each burst is settled with the result computed when `maxWait` was reached
+	assert.deepEqual(await Promise.all(promises), [4, 4, 4, 4, 8, 8, 8, 8]);
+	assert.deepEqual(calls, [4, 8]);
+});
+
+test('maxWait option - starts a new burst after it is reached', async () => {
+	let count = 0;
+
+	const debounced = pDebounce(async value => {
+		count++;
+		return value;
+	}, 100, {maxWait: 150});
+
+	const promise1 = debounced(1);
+	await delay(80);
+	const promise2 = debounced(2);
+	await delay(80); // `maxWait` was reached
+	const promise3 = debounced(3);
+
+	assert.deepEqual(await Promise.all([promise1, promise2, promise3]), [2, 2, 3]);
+	assert.equal(count, 2);
+});
+
+test('maxWait option - with before option', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 50, {before: true, maxWait: 100});
+
+	const promises = [];
+	for (let index = 1; index <= 6; index++) {
+		promises.push(debounced(index));
+		// eslint-disable-next-line no-await-in-loop
+		await delay(30);
+	}
+
+	await Promise.all(promises);
+
+	// The leading edge is triggered again once `maxWait` ends a burst
+	assert.equal(calls[0], 1);
+	assert.ok(calls.length >= 2);
+});
+
+test('maxWait option - with signal', async () => {
+	let count = 0;
+	const controller = new AbortController();
+
+	const debounced = pDebounce(async value => {
+		count++;
+		return value;
+	}, 50, {maxWait: 100, signal: controller.signal});
+
+	const promise = debounced(1);
+	await delay(30);
+	controller.abort();
+
+	await assert.rejects(promise, DebounceCancelledError);
+	await delay(120);
+	assert.equal(count, 0);
+});
+
+test('maxWait option - validation', async () => {
+	assert.throws(() => pDebounce(() => {}, 100, {maxWait: Number.NaN}), TypeError);
+	assert.throws(() => pDebounce(() => {}, 100, {maxWait: 'not a number'}), TypeError);
+	assert.doesNotThrow(() => pDebounce(() => {}, 100, {maxWait: 200}));
+});
@@ -0,0 +1,105 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce from '../index.js';
+
+test('.promise() with cacheFor option - serves the settled result to new calls', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		return value;
+	}, {cacheFor: 100});
+
+	assert.equal(await debounced(1), 1);
+	assert.equal(await debounced(2), 1);
+	assert.deepEqual(calls, [1]);
+
+	await delay(120);
+
+	assert.equal(await debounced(3), 3);
+	assert.deepEqual(calls, [1, 3]);
+});
+
+test('.promise() with cacheFor option - does not cache rejections by default', async () => {
+	let count = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		count++;
+		if (count === 1) {
+			throw new Error('Failed');
+		}
+
+		return count;
+	}, {cacheFor: 1000});
+
+	await assert.rejects(debounced(), {message: 'Failed'});
+	assert.equal(await debounced(), 2);
+	assert.equal(await debounced(), 2);
+	assert.equal(count, 2);
+});
+
+test('.promise() with cacheRejectionsFor option - serves the rejection for its own duration', async () => {
+	let count = 0;
+	const error = new Error('Failed');
+
+	const debounced = pDebounce.promise(async () => {
+		count++;
+		if (count === 1) {
+			throw error;
+		}
+
+		return count;
+	}, {cacheFor: 1000, cacheRejectionsFor: 50});
+
+	await assert.rejects(debounced(), error);
+	await assert.rejects(debounced(), error);
+	assert.equal(count, 1);
+
+	await delay(70);
+
+	assert.equal(await debounced(), 2);
+	assert.equal(count, 2);
+});
+
+test('.promise() with cacheFor option - caches the result of the queued call with after option', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(20);
+		return value;
+	}, {after: true, cacheFor: 1000});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2)]), [1, 2]);
+	assert.equal(await debounced(3), 2);
+	assert.deepEqual(calls, [1, 2]);
+});
+
+test('.promise() - .invalidate() discards the cached result', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		return value;
+	}, {cacheFor: 1000});
+
+	assert.equal(await debounced(1), 1);
+	debounced.invalidate();
+
+	assert.equal(await debounced(2), 2);
+	assert.equal(await debounced(3), 2);
+	assert.deepEqual(calls, [1, 2]);
+});
+
+test('.promise() with cacheFor option - validates the durations', () => {
+	assert.throws(() => pDebounce.promise(async () => {}, {cacheFor: -1}), {
+		name: 'TypeError',
+		message: 'Expected `cacheFor` to be a non-negative number',
+	});
+
+	assert.throws(() => pDebounce.promise(async () => {}, {cacheRejectionsFor: Number.NaN}), {
+		name: 'TypeError',
+		message: 'Expected `cacheRejectionsFor` to be a non-negative number',
+	});
+});
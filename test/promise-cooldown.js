@@ -0,0 +1,121 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import {createVirtualClock} from '../testing.js';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('.promise() with cooldown option - coalesces calls made after an execution into the next run', async () => {
+	const clock = createVirtualClock();
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await new Promise(resolve => {
+			clock.setTimeout(resolve, 20);
+		});
+
+		return value;
+	}, {cooldown: 100, clock});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2); // Shares the running execution
+	await clock.advance(20);
+	assert.deepEqual(await Promise.all([promise1, promise2]), [1, 1]);
+
+	const promise3 = debounced(3); // During the cooldown
+	const promise4 = debounced(4);
+	assert.equal(debounced.isPending, true);
+	assert.equal(debounced.isRunning, false);
+
+	await clock.advance(99);
+	assert.deepEqual(calls, [1]);
+
+	await clock.advance(1);
+	assert.deepEqual(calls, [1, 4]);
+
+	await clock.advance(20);
+	assert.deepEqual(await Promise.all([promise3, promise4]), [4, 4]);
+	assert.equal(debounced.isPending, false);
+});
+
+test('.promise() with cooldown option - waits between runs with the after option', async () => {
+	const clock = createVirtualClock();
+	const startTimes = [];
+
+	const debounced = pDebounce.promise(async value => {
+		startTimes.push(clock.now());
+		await new Promise(resolve => {
+			clock.setTimeout(resolve, 20);
+		});
+
+		return value;
+	}, {after: true, cooldown: 100, clock});
+
+	const promises = [debounced(1), debounced(2), debounced(3)];
+	await clock.runAll();
+
+	assert.deepEqual(await Promise.all(promises), [1, 3, 3]);
+	assert.deepEqual(startTimes, [0, 120]);
+});
+
+test('.promise() with cooldown option - runs right away once the cooldown is over', async () => {
+	let count = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		count++;
+		return count;
+	}, {cooldown: 30});
+
+	assert.equal(await debounced(), 1);
+	await delay(50);
+
+	const promise = debounced();
+	assert.equal(debounced.isRunning, true);
+	assert.equal(await promise, 2);
+});
+
+test('.promise() with cooldown option - cancel() rejects the calls made during the cooldown', async () => {
+	let count = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		count++;
+	}, {cooldown: 30});
+
+	await debounced();
+	const promise = debounced();
+	debounced.cancel();
+
+	await assert.rejects(promise, DebounceCancelledError);
+	await delay(50);
+	assert.equal(count, 1);
+});
+
+test('.promise() with cooldown option - waits between calls with queue mode', async () => {
+	const clock = createVirtualClock();
+	const startTimes = [];
+
+	const debounced = pDebounce.promise(async value => {
+		startTimes.push(clock.now());
+		return value;
+	}, {mode: 'queue', cooldown: 50, clock});
+
+	const promises = [debounced(1), debounced(2)];
+	await clock.advance(50);
+	assert.deepEqual(await Promise.all(promises), [1, 2]);
+	assert.deepEqual(startTimes, [0, 50]);
+
+	const promise = debounced(3); // During the cooldown
+	assert.equal(debounced.isRunning, false);
+	await clock.advance(50);
+	assert.equal(await promise, 3);
+	assert.deepEqual(startTimes, [0, 50, 100]);
+});
+
+test('.promise() with cooldown option - validates the cooldown', () => {
+	assert.throws(() => pDebounce.promise(async () => {}, {cooldown: -1}), {
+		name: 'TypeError',
+		message: 'Expected `cooldown` to be a non-negative finite number',
+	});
+});
@@ -0,0 +1,186 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('.promise() with key option - shares pending promises only between calls for the same key', async () => {
+	const calls = [];
+
+	const load = pDebounce.promise(async id => {
+		calls.push(id);
+		await delay(50);
+		return `${id}-data`;
+	}, {key: true});
+
+	const results = await Promise.all([load('a'), load('b'), load('a')]);
+
+	assert.deepEqual(results, ['a-data', 'b-data', 'a-data']);
+	assert.deepEqual(calls, ['a', 'b']);
+	assert.equal(load.isRunning, false);
+});
+
+test('.promise() with key option - serializes object arguments regardless of property order', async () => {
+	const calls = [];
+
+	const load = pDebounce.promise(async query => {
+		calls.push(query);
+		await delay(20);
+		return query.page;
+	}, {key: true});
+
+	const results = await Promise.all([
+		load({page: 1, sort: 'name'}),
+		load({sort: 'name', page: 1}),
+		load({sort: 'name', page: 2}),
+	]);
+
+	assert.deepEqual(results, [1, 1, 2]);
+	assert.equal(calls.length, 2);
+});
+
+test('.promise() with key option - does not share between different values that JSON cannot tell apart', async () => {
+	const calls = [];
+
+	const load = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(20);
+		return value;
+	}, {key: true});
+
+	const values = [
+		new Map([['a', 1]]),
+		new Map([['b', 2]]),
+		new Set([1]),
+		new Set([2]),
+		undefined,
+		null,
+		1n,
+		2n,
+		'1',
+		1,
+		Number.NaN,
+		new Date(0),
+		new Date(1),
+		[undefined],
+		[null],
+		{a: undefined},
+		{},
+	];
+
+	const results = await Promise.all(values.map(value => load(value)));
+
+	assert.deepEqual(results, values);
+	assert.equal(calls.length, values.length);
+});
+
+test('.promise() with key option - shares between equal Maps and Sets', async () => {
+	let count = 0;
+
+	const load = pDebounce.promise(async () => {
+		count++;
+		await delay(20);
+		return count;
+	}, {key: true});
+
+	const results = await Promise.all([
+		load(new Map([['a', {x: 1, y: 2}]]), new Set([1n])),
+		load(new Map([['a', {y: 2, x: 1}]]), new Set([1n])),
+	]);
+
+	assert.deepEqual(results, [1, 1]);
+});
+
+test('.promise() with key option - rejects values that cannot be serialized', async () => {
+	const load = pDebounce.promise(async value => value, {key: true});
+
+	const circular = {};
+	circular.self = circular;
+
+	await assert.rejects(load(() => {}), {name: 'TypeError', message: 'Cannot serialize a function as part of the key'});
+	await assert.rejects(load(Symbol('a')), {name: 'TypeError', message: 'Cannot serialize a symbol as part of the key'});
+	await assert.rejects(load(new URL('https://example.com')), {name: 'TypeError', message: 'Cannot serialize an instance of `URL` as part of the key'});
+	await assert.rejects(load(circular), {name: 'TypeError', message: 'Cannot serialize a circular structure as part of the key'});
+
+	// The same object can appear more than once without being circular
+	const shared = {a: 1};
+	assert.deepEqual(await load([shared, shared]), [shared, shared]);
+});
+
+test('.promise() with key option - custom key function', async () => {
+	const calls = [];
+
+	const load = pDebounce.promise(async (id, options) => {
+		calls.push([id, options]);
+		await delay(20);
+		return id;
+	}, {key: id => id});
+
+	const results = await Promise.all([load('a', {fresh: true}), load('a', {fresh: false}), load('b')]);
+
+	assert.deepEqual(results, ['a', 'a', 'b']);
+	assert.deepEqual(calls, [['a', {fresh: true}], ['b', undefined]]);
+});
+
+test('.promise() with key option - after option queues per key', async () => {
+	const calls = [];
+
+	const save = pDebounce.promise(async (id, value) => {
+		calls.push([id, value]);
+		await delay(50);
+		return value;
+	}, {key: id => id, after: true});
+
+	const promiseA1 = save('a', 1);
+	const promiseB1 = save('b', 1);
+	const promiseA2 = save('a', 2);
+	const promiseA3 = save('a', 3);
+
+	assert.equal(save.isPending, true);
+	assert.deepEqual(await Promise.all([promiseA1, promiseB1, promiseA2, promiseA3]), [1, 1, 3, 3]);
+	assert.deepEqual(calls, [['a', 1], ['b', 1], ['a', 3]]);
+	assert.equal(save.isPending, false);
+});
+
+test('.promise() with key option - caches per key', async () => {
+	const calls = [];
+
+	const load = pDebounce.promise(async id => {
+		calls.push(id);
+		return calls.length;
+	}, {key: true, cacheFor: 1000});
+
+	assert.equal(await load('a'), 1);
+	assert.equal(await load('b'), 2);
+	assert.equal(await load('a'), 1);
+	assert.deepEqual(calls, ['a', 'b']);
+
+	load.invalidate();
+	assert.equal(await load('a'), 3);
+});
+
+test('.promise() with key option - cancel discards the queued calls of all keys', async () => {
+	const save = pDebounce.promise(async (id, value) => {
+		await delay(50);
+		return value;
+	}, {key: id => id, after: true});
+
+	const promiseA1 = save('a', 1);
+	const promiseB1 = save('b', 1);
+	const promiseA2 = save('a', 2);
+	const promiseB2 = save('b', 2);
+
+	save.cancel();
+
+	await assert.rejects(promiseA2, DebounceCancelledError);
+	await assert.rejects(promiseB2, DebounceCancelledError);
+	assert.deepEqual(await Promise.all([promiseA1, promiseB1]), [1, 1]);
+});
+
+test('.promise() with key option - validates the key', () => {
+	assert.throws(() => pDebounce.promise(async () => {}, {key: 'id'}), {
+		name: 'TypeError',
+		message: 'Expected `key` to be `true` or a function',
+	});
+});
@@ -0,0 +1,223 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+	SupersededError,
+} from '../index.js';
+
+test('.promise() with queue mode - runs every call in order with its own result', async () => {
+	const calls = [];
+	let running = 0;
+	let maxRunning = 0;
+
+	const debounced = pDebounce.promise(async function (value) {
+		running++;
+		maxRunning = Math.max(maxRunning, running);
+		calls.push([this, value]);
+		await delay(20);
+		running--;
+		return value * 2;
+	}, {mode: 'queue'});
+
+	const contexts = [{}, {}, {}];
+	const promises = contexts.map((context, index) => debounced.call(context, index + 1));
+	assert.equal(debounced.isPending, true);
+
+	assert.deepEqual(await Promise.all(promises), [2, 4, 6]);
+	assert.deepEqual(calls, [[contexts[0], 1], [contexts[1], 2], [contexts[2], 3]]);
+	assert.equal(maxRunning, 1);
+	assert.equal(debounced.isRunning, false);
+	assert.equal(debounced.isPending, false);
+});
+
+test('.promise() with queue mode - a failed call does not affect the others', async () => {
+	const debounced = pDebounce.promise(async value => {
+		await delay(10);
+
+		if (value === 2) {
+			throw new Error('Failed');
+		}
+
+		return value;
+	}, {mode: 'queue'});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+
+	assert.equal(await promise1, 1);
+	await assert.rejects(promise2, {message: 'Failed'});
+	assert.equal(await promise3, 3);
+});
+
+test('.promise() with queue mode - rejects the newest call when the queue is full', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(20);
+		return value;
+	}, {mode: 'queue', maxQueueSize: 1});
+
+	const promise1 = debounced(1); // Running
+	const promise2 = debounced(2); // Queued
+	const promise3 = debounced(3); // Overflow
+
+	await assert.rejects(promise3, {name: 'DebounceCancelledError', message: 'The queue is full'});
+	assert.deepEqual(await Promise.all([promise1, promise2]), [1, 2]);
+	assert.deepEqual(calls, [1, 2]);
+});
+
+test('.promise() with queue mode - drops the oldest queued call when the queue is full', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(20);
+		return value;
+	}, {mode: 'queue', maxQueueSize: 2, overflow: 'dropOldest'});
+
+	const promise1 = debounced(1); // Running
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+	const promise4 = debounced(4);
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.deepEqual(await Promise.all([promise1, promise3, promise4]), [1, 3, 4]);
+	assert.deepEqual(calls, [1, 3, 4]);
+});
+
+test('.promise() with queue mode - collapses into the newest queued call when the queue is full', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(20);
+		return value;
+	}, {mode: 'queue', maxQueueSize: 1, overflow: 'collapse'});
+
+	const promise1 = debounced(1); // Running
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+	const promise4 = debounced(4);
+
+	assert.deepEqual(await Promise.all([promise1, promise2, promise3, promise4]), [1, 4, 4, 4]);
+	assert.deepEqual(calls, [1, 4]);
+});
+
+test('.promise() with queue mode - collapse uses the accumulate and superseded options', async () => {
+	const calls = [];
+
+	const accumulated = pDebounce.promise(async values => {
+		calls.push(values);
+		await delay(20);
+		return values;
+	}, {
+		mode: 'queue',
+		maxQueueSize: 1,
+		overflow: 'collapse',
+		accumulate: ([previousValues], [nextValues]) => [[...previousValues, ...nextValues]],
+	});
+
+	await Promise.all([accumulated([1]), accumulated([2]), accumulated([3])]);
+	assert.deepEqual(calls, [[1], [2, 3]]);
+
+	const rejecting = pDebounce.promise(async value => value, {
+		mode: 'queue',
+		maxQueueSize: 1,
+		overflow: 'collapse',
+		superseded: 'reject',
+	});
+
+	const promise1 = rejecting(1);
+	const promise2 = rejecting(2);
+	const promise3 = rejecting(3);
+
+	await assert.rejects(promise2, SupersededError);
+	assert.deepEqual(await Promise.all([promise1, promise3]), [1, 3]);
+});
+
+test('.promise() with queue mode - keeps a queue per key', async () => {
+	const running = new Set();
+	let maxRunning = 0;
+
+	const debounced = pDebounce.promise(async (id, value) => {
+		running.add(id);
+		maxRunning = Math.max(maxRunning, running.size);
+		await delay(20);
+		running.delete(id);
+		return value;
+	}, {mode: 'queue', key: id => id});
+
+	const results = await Promise.all([debounced('a', 1), debounced('b', 2), debounced('a', 3), debounced('b', 4)]);
+	assert.deepEqual(results, [1, 2, 3, 4]);
+	assert.equal(maxRunning, 2);
+});
+
+test('.promise() with queue mode - cancel() rejects the queued calls', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(20);
+		return value;
+	}, {mode: 'queue'});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+
+	const reason = new Error('Cancelled');
+	debounced.cancel(reason);
+
+	await assert.rejects(promise2, {name: 'DebounceCancelledError', cause: reason});
+	await assert.rejects(promise3, {name: 'DebounceCancelledError', cause: reason});
+	assert.equal(await promise1, 1);
+	assert.deepEqual(calls, [1]);
+	assert.equal(debounced.isPending, false);
+
+	assert.equal(await debounced(4), 4);
+});
+
+test('.promise() with queue mode - aborting the signal rejects the queued calls', async () => {
+	const controller = new AbortController();
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(20);
+		return value;
+	}, {mode: 'queue', signal: controller.signal});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	controller.abort();
+
+	await assert.rejects(promise1, DebounceCancelledError);
+	await assert.rejects(promise2, DebounceCancelledError);
+	await delay(30);
+	assert.deepEqual(calls, [1]);
+});
+
+test('.promise() with queue mode - validates the options', () => {
+	assert.throws(() => pDebounce.promise(async () => {}, {mode: 'stack'}), {
+		name: 'TypeError',
+		message: 'Expected `mode` to be `\'queue\'`',
+	});
+
+	assert.throws(() => pDebounce.promise(async () => {}, {mode: 'queue', after: true}), {
+		name: 'TypeError',
+		message: 'The `after` option cannot be used with `mode: \'queue\'`',
+	});
+
+	assert.throws(() => pDebounce.promise(async () => {}, {mode: 'queue', maxQueueSize: 0}), {
+		name: 'TypeError',
+		message: 'Expected `maxQueueSize` to be a positive integer',
+	});
+
+	assert.throws(() => pDebounce.promise(async () => {}, {mode: 'queue', overflow: 'dropNewest'}), {
+		name: 'TypeError',
+		message: 'Expected `overflow` to be `\'rejectNewest\'`, `\'dropOldest\'`, or `\'collapse\'`',
+	});
+});
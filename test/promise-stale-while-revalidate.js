@@ -0,0 +1,140 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import process from 'node:process';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce from '../index.js';
+
+test('.promise() with staleWhileRevalidate option - serves the last value while refreshing in the background', async () => {
+	let count = 0;
+	const revalidated = [];
+
+	const debounced = pDebounce.promise(async () => {
+		count++;
+		await delay(20);
+		return count;
+	}, {
+		staleWhileRevalidate: true,
+		onRevalidate(value) {
+			revalidated.push(value);
+		},
+	});
+
+	assert.equal(await debounced(), 1); // Nothing to serve yet
+
+	assert.equal(await debounced(), 1);
+	assert.equal(debounced.isRunning, true);
+	assert.equal(await debounced(), 1); // Does not start another refresh
+	assert.equal(count, 2);
+
+	await delay(40);
+	assert.deepEqual(revalidated, [2]);
+	assert.equal(await debounced(), 2);
+	await delay(40);
+	assert.deepEqual(revalidated, [2, 3]);
+});
+
+test('.promise() with staleWhileRevalidate option - background errors are reported and not thrown', async () => {
+	let shouldFail = false;
+	const errors = [];
+
+	const debounced = pDebounce.promise(async () => {
+		if (shouldFail) {
+			throw new Error('Failed');
+		}
+
+		return 'value';
+	}, {
+		staleWhileRevalidate: true,
+		onRevalidateError(error) {
+			errors.push(error.message);
+		},
+	});
+
+	assert.equal(await debounced(), 'value');
+
+	shouldFail = true;
+	assert.equal(await debounced(), 'value');
+	await delay(10);
+
+	assert.deepEqual(errors, ['Failed']);
+	assert.equal(debounced.lastResult.status, 'rejected');
+	assert.equal(await debounced(), 'value');
+});
+
+test('.promise() with staleWhileRevalidate option - callbacks that throw are ignored', async () => {
+	const unhandledRejections = [];
+	const onUnhandledRejection = error => {
+		unhandledRejections.push(error);
+	};
+
+	process.on('unhandledRejection', onUnhandledRejection);
+
+	try {
+		let shouldFail = false;
+		const throwingCallback = () => {
+			throw new Error('Callback failed');
+		};
+
+		const debounced = pDebounce.promise(async () => {
+			if (shouldFail) {
+				throw new Error('Failed');
+			}
+
+			return 'value';
+		}, {
+			staleWhileRevalidate: true,
+			onRevalidate: throwingCallback,
+			onRevalidateError: throwingCallback,
+		});
+
+		assert.equal(await debounced(), 'value');
+		assert.equal(await debounced(), 'value'); // Refresh succeeds, and `onRevalidate` throws
+		await delay(10);
+
+		shouldFail = true;
+		assert.equal(await debounced(), 'value'); // Refresh fails, and `onRevalidateError` throws
+		await delay(10);
+
+		assert.deepEqual(unhandledRejections, []);
+	} finally {
+		process.off('unhandledRejection', onUnhandledRejection);
+	}
+});
+
+test('.promise() with staleWhileRevalidate option - keeps a value per key', async () => {
+	const debounced = pDebounce.promise(async id => `${id}-${Date.now()}`, {staleWhileRevalidate: true, key: id => id});
+
+	const a = await debounced('a');
+	const b = await debounced('b');
+
+	assert.ok(a.startsWith('a-'));
+	assert.ok(b.startsWith('b-'));
+	assert.equal(await debounced('a'), a);
+	assert.equal(await debounced('b'), b);
+});
+
+test('.promise() with staleWhileRevalidate option - invalidate() discards the stale value', async () => {
+	let count = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		count++;
+		await delay(10);
+		return count;
+	}, {staleWhileRevalidate: true});
+
+	assert.equal(await debounced(), 1);
+	debounced.invalidate();
+	assert.equal(await debounced(), 2);
+});
+
+test('.promise() with staleWhileRevalidate option - validates the options', () => {
+	assert.throws(() => pDebounce.promise(async () => {}, {staleWhileRevalidate: true, mode: 'queue'}), {
+		name: 'TypeError',
+		message: 'The `staleWhileRevalidate` option cannot be used with `mode: \'queue\'`',
+	});
+
+	assert.throws(() => pDebounce.promise(async () => {}, {staleWhileRevalidate: true, onRevalidate: 'value'}), {
+		name: 'TypeError',
+		message: 'Expected `onRevalidate` to be a function',
+	});
+});
@@ -0,0 +1,121 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+	DebounceTimeoutError,
+} from '../index.js';
+
+test('.promise() with timeout option - rejects the sharing callers of a stuck execution and releases it', async () => {
+	let count = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		count++;
+		if (count === 1) {
+			return new Promise(() => {}); // Never settles
+		}
+
+		return count;
+	}, {timeout: 50});
+
+	const promise1 = debounced();
+	const promise2 = debounced();
+
+	await assert.rejects(promise1, {name: 'DebounceTimeoutError', message: 'The call timed out after 50 milliseconds'});
+	await assert.rejects(promise2, DebounceTimeoutError);
+	assert.equal(debounced.isRunning, false);
+
+	assert.equal(await debounced(), 2);
+});
+
+test('.promise() with timeout and passSignal options - aborts the passed signal', async () => {
+	let executionSignal;
+
+	const debounced = pDebounce.promise(async (value, signal) => {
+		executionSignal = signal;
+		await delay(200, undefined, {signal});
+		return value;
+	}, {timeout: 50, passSignal: true});
+
+	await assert.rejects(debounced(1), DebounceTimeoutError);
+	assert.equal(executionSignal.aborted, true);
+	assert.ok(executionSignal.reason instanceof DebounceTimeoutError);
+});
+
+test('.promise() with signal and passSignal options - passes a signal and rejects the callers when aborted', async () => {
+	const controller = new AbortController();
+	const calls = [];
+	let executionSignal;
+
+	const debounced = pDebounce.promise(async (value, signal) => {
+		calls.push(value);
+		executionSignal = signal;
+		await delay(100);
+		return value;
+	}, {after: true, passSignal: true, signal: controller.signal});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2); // Queued
+
+	await delay(10);
+	const reason = new Error('Stopped');
+	controller.abort(reason);
+
+	await assert.rejects(promise1, {name: 'DebounceCancelledError', cause: reason});
+	await assert.rejects(promise2, {name: 'DebounceCancelledError', cause: reason});
+	assert.ok(executionSignal instanceof AbortSignal);
+	assert.equal(executionSignal.reason, reason);
+	assert.equal(debounced.isRunning, false);
+	assert.equal(debounced.isPending, false);
+
+	await delay(120);
+	assert.deepEqual(calls, [1]);
+
+	// Later calls are rejected right away
+	await assert.rejects(debounced(3), DebounceCancelledError);
+	assert.deepEqual(calls, [1]);
+});
+
+test('.promise() with signal option - does not pass a signal to `function_` without passSignal option', async () => {
+	const controller = new AbortController();
+
+	const debounced = pDebounce.promise(async (name, greeting = 'hello') => `${greeting} ${name}`, {signal: controller.signal, timeout: 1000});
+
+	assert.equal(await debounced('bob'), 'hello bob');
+});
+
+test('.promise() with signal option - stops retrying', async () => {
+	const controller = new AbortController();
+	let attempts = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		attempts++;
+		throw new Error('Failed');
+	}, {signal: controller.signal, retry: {minTimeout: 1000, jitter: false}});
+
+	const promise = debounced();
+	await delay(10);
+	controller.abort();
+
+	await assert.rejects(promise, DebounceCancelledError);
+	assert.equal(attempts, 1);
+	assert.equal(debounced.isRunning, false);
+});
+
+test('.promise() with signal option - already aborted signal prevents execution', async () => {
+	let count = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		count++;
+	}, {signal: AbortSignal.abort()});
+
+	await assert.rejects(debounced(), DebounceCancelledError);
+	assert.equal(count, 0);
+});
+
+test('.promise() with timeout option - validates the timeout', () => {
+	assert.throws(() => pDebounce.promise(async () => {}, {timeout: Number.POSITIVE_INFINITY}), {
+		name: 'TypeError',
+		message: 'Expected `timeout` to be a non-negative finite number',
+	});
+});
@@ -0,0 +1,120 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	SupersededError,
+} from '../index.js';
+
+test('resolveOrder option - settles older callers with the newer result', async () => {
+	const durations = {1: 200, 2: 20};
+	const settled = [];
+
+	const track = async (name, promise) => {
+		const value = await promise;
+		settled.push([name, value]);
+		return value;
+	};
+
+	const debounced = pDebounce(async value => {
+		await delay(durations[value]);
+		return value;
+	}, 20, {resolveOrder: 'latest'});
+
+	const promise1 = track('first', debounced(1));
+	await delay(40); // The slow first execution is running
+	const promise2 = track('second', debounced(2));
+
+	assert.deepEqual(await Promise.all([promise1, promise2]), [2, 2]);
+	assert.deepEqual(settled, [['second', 2], ['first', 2]]);
+});
+
+test('resolveOrder option - older callers wait for the newer execution', async () => {
+	const durations = {1: 60, 2: 200};
+
+	const debounced = pDebounce(async value => {
+		await delay(durations[value]);
+		return value;
+	}, 20, {resolveOrder: 'latest'});
+
+	const promise1 = debounced(1);
+	await delay(30); // The first execution is running
+	const promise2 = debounced(2);
+
+	assert.deepEqual(await Promise.all([promise1, promise2]), [2, 2]);
+});
+
+test('resolveOrder option - older callers get the rejection of the newer execution', async () => {
+	const durations = {1: 200, 2: 20};
+	const error = new Error('Newer failed');
+
+	const debounced = pDebounce(async value => {
+		await delay(durations[value]);
+		if (value === 2) {
+			throw error;
+		}
+
+		return value;
+	}, 20, {resolveOrder: 'latest'});
+
+	const promise1 = debounced(1);
+	await delay(40);
+	const promise2 = debounced(2);
+
+	await assert.rejects(promise2, error);
+	await assert.rejects(promise1, error);
+	assert.deepEqual(debounced.lastResult, {status: 'fulfilled', value: 1});
+});
+
+test('resolveOrder option - with superseded option rejects older callers', async () => {
+	const durations = {1: 200, 2: 20};
+
+	const debounced = pDebounce(async value => {
+		await delay(durations[value]);
+		return value;
+	}, 20, {resolveOrder: 'latest', superseded: 'reject'});
+
+	const promise1 = debounced(1);
+	await delay(40); // The slow first execution is running
+	const promise2 = debounced(2);
+
+	await assert.rejects(promise1, SupersededError);
+	assert.equal(await promise2, 2);
+});
+
+test('resolveOrder option - with superseded option undefined resolves older callers with undefined', async () => {
+	const durations = {1: 200, 2: 20};
+
+	const debounced = pDebounce(async value => {
+		await delay(durations[value]);
+		return value;
+	}, 20, {resolveOrder: 'latest', superseded: 'undefined'});
+
+	const promise1 = debounced(1);
+	await delay(40); // The slow first execution is running
+	const promise2 = debounced(2);
+
+	assert.equal(await promise1, undefined);
+	assert.equal(await promise2, 2);
+});
+
+test('resolveOrder option - without it, older callers get their own result', async () => {
+	const durations = {1: 200, 2: 20};
+
+	const debounced = pDebounce(async value => {
+		await delay(durations[value]);
+		return value;
+	}, 20);
+
+	const promise1 = debounced(1);
+	await delay(40);
+	const promise2 = debounced(2);
+
+	assert.deepEqual(await Promise.all([promise1, promise2]), [1, 2]);
+});
+
+test('resolveOrder option - validates the value', () => {
+	assert.throws(() => pDebounce(async () => {}, 20, {resolveOrder: 'first'}), {
+		name: 'TypeError',
+		message: 'Expected `resolveOrder` to be `\'latest\'`',
+	});
+});
@@ -0,0 +1,317 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import {createVirtualClock} from '../testing.js';
+import pDebounce from '../index.js';
+
+test('retry option - retries failed executions with exponential backoff', async () => {
+	const clock = createVirtualClock();
+	const attemptTimes = [];
+
+	const debounced = pDebounce(async value => {
+		attemptTimes.push(clock.now());
+		if (attemptTimes.length < 3) {
+			throw new Error('Failed');
+		}
+
+		return value;
+	}, 50, {clock, retry: {retries: 3, minTimeout: 100, jitter: false}});
+
+	const promise = debounced(1);
+	await clock.runAll();
+
+	assert.equal(await promise, 1);
+	assert.deepEqual(attemptTimes, [50, 150, 350]);
+	assert.deepEqual(debounced.lastResult, {status: 'fulfilled', value: 1});
+});
+
+test('retry option - rejects with the last error after the last retry', async () => {
+	const clock = createVirtualClock();
+	let attempts = 0;
+
+	const debounced = pDebounce(async () => {
+		attempts++;
+		throw new Error(`Failed ${attempts}`);
+	}, 50, {clock, retry: 2});
+
+	const promise = debounced();
+	const assertion = assert.rejects(promise, {message: 'Failed 3'});
+	await clock.runAll();
+
+	await assertion;
+	assert.equal(attempts, 3);
+});
+
+test('retry option - shouldRetry decides which errors are retried', async () => {
+	const clock = createVirtualClock();
+	const shouldRetryCalls = [];
+	let attempts = 0;
+
+	const debounced = pDebounce(async () => {
+		attempts++;
+		throw new Error(attempts === 1 ? 'Temporary' : 'Permanent');
+	}, 50, {
+		clock,
+		retry: {
+			minTimeout: 100,
+			shouldRetry(error, attempt) {
+				shouldRetryCalls.push([error.message, attempt]);
+				return error.message === 'Temporary';
+			},
+		},
+	});
+
+	const promise = debounced();
+	const assertion = assert.rejects(promise, {message: 'Permanent'});
+	await clock.runAll();
+
+	await assertion;
+	assert.equal(attempts, 2);
+	assert.deepEqual(shouldRetryCalls, [['Temporary', 1], ['Permanent', 2]]);
+});
+
+test('retry option - signal option stops retrying', async () => {
+	const clock = createVirtualClock();
+	const controller = new AbortController();
+	let attempts = 0;
+
+	const debounced = pDebounce(async () => {
+		attempts++;
+		throw new Error('Failed');
+	}, 50, {clock, signal: controller.signal, retry: {minTimeout: 100, jitter: false}});
+
+	const promise = debounced();
+	await clock.advance(50); // The first attempt failed, and the retry is waiting
+	const reason = new Error('Stopped');
+	controller.abort(reason);
+
+	await assert.rejects(promise, {name: 'DebounceCancelledError', cause: reason});
+	assert.equal(attempts, 1);
+	assert.equal(clock.pendingTimers, 0);
+	assert.equal(debounced.isRunning, false);
+});
+
+test('retry option - cancel stops retrying', async () => {
+	const clock = createVirtualClock();
+	let attempts = 0;
+
+	const debounced = pDebounce(async () => {
+		attempts++;
+		throw new Error('Failed');
+	}, 50, {clock, retry: {minTimeout: 100, jitter: false}, cancelValue: 'cancelled'});
+
+	const promise = debounced();
+	await clock.advance(50);
+	debounced.cancel();
+
+	assert.equal(await promise, 'cancelled');
+	assert.equal(attempts, 1);
+	assert.equal(clock.pendingTimers, 0);
+});
+
+test('retry option - new calls supersede the retried arguments', async () => {
+	const clock = createVirtualClock();
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		if (value === 1) {
+			throw new Error('Failed');
+		}
+
+		return value;
+	}, 50, {clock, retry: {minTimeout: 1000, jitter: false}});
+
+	const promise1 = debounced(1);
+	await clock.advance(50); // The first attempt failed, and the retry is waiting
+	const promise2 = debounced(2);
+	await clock.runAll();
+
+	assert.deepEqual(await Promise.all([promise1, promise2]), [2, 2]);
+	assert.deepEqual(calls, [1, 2]);
+	assert.equal(clock.now(), 100);
+});
+
+test('retry option - new calls supersede the retries of a leading call', async () => {
+	const clock = createVirtualClock();
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		if (value === 1) {
+			throw new Error('Failed');
+		}
+
+		return value;
+	}, 50, {before: true, clock, retry: {minTimeout: 1000, jitter: false}});
+
+	const promise1 = debounced(1);
+	await clock.advance(10);
+	const promise2 = debounced(2);
+	await clock.runAll();
+
+	assert.deepEqual(await Promise.all([promise1, promise2]), [2, 2]);
+	assert.deepEqual(calls, [1, 2]);
+});
+
+test('retry option - with resolveOrder option, older callers follow the callers of a superseded retry', async () => {
+	const clock = createVirtualClock();
+	const calls = [];
+	let finishFirstCall;
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+
+		if (value === 1) {
+			await new Promise(resolve => {
+				finishFirstCall = resolve;
+			});
+		}
+
+		if (value === 2) {
+			throw new Error('Failed');
+		}
+
+		return value;
+	}, 10, {clock, resolveOrder: 'latest', retry: {minTimeout: 1000, jitter: false}});
+
+	const promise1 = debounced(1);
+	await clock.advance(10); // The first execution is running
+	const promise2 = debounced(2);
+	await clock.advance(10); // The second execution failed, and the retry is waiting
+	const promise3 = debounced(3);
+	await clock.advance(0); // The third call superseded the retry
+
+	finishFirstCall();
+	await clock.runAll();
+
+	assert.deepEqual(await Promise.all([promise1, promise2, promise3]), [3, 3, 3]);
+	assert.deepEqual(calls, [1, 2, 3]);
+	assert.equal(debounced.pendingCallers, 0);
+});
+
+test('retry option - new calls supersede the retries with accumulate option without losing the failed arguments', async () => {
+	const clock = createVirtualClock();
+	const calls = [];
+
+	const debounced = pDebounce(async ids => {
+		calls.push(ids);
+		if (calls.length === 1) {
+			throw new Error('Failed');
+		}
+
+		return ids;
+	}, 10, {
+		clock,
+		accumulate: ([previousIds], [nextIds]) => [[...previousIds, ...nextIds]],
+		retry: {minTimeout: 1000, jitter: false},
+	});
+
+	const promise1 = debounced([1]);
+	const promise2 = debounced([2]);
+	await clock.advance(10); // The first attempt failed, and the retry is waiting
+	const promise3 = debounced([3]);
+	await clock.runAll();
+
+	assert.deepEqual(await Promise.all([promise1, promise2, promise3]), [[1, 2, 3], [1, 2, 3], [1, 2, 3]]);
+	assert.deepEqual(calls, [[1, 2], [1, 2, 3]]);
+});
+
+test('retry option - validates the options', () => {
+	assert.throws(() => pDebounce(async () => {}, 50, {retry: -1}), {
+		name: 'TypeError',
+		message: 'Expected `retry.retries` to be a non-negative integer',
+	});
+
+	assert.throws(() => pDebounce(async () => {}, 50, {retry: {factor: 0.5}}), {
+		name: 'TypeError',
+		message: 'Expected `retry.factor` to be a finite number of at least 1',
+	});
+
+	assert.throws(() => pDebounce.promise(async () => {}, {retry: {shouldRetry: true}}), {
+		name: 'TypeError',
+		message: 'Expected `retry.shouldRetry` to be a function',
+	});
+});
+
+test('.promise() with retry option - retries failed executions', async () => {
+	let attempts = 0;
+
+	const debounced = pDebounce.promise(async value => {
+		attempts++;
+		if (attempts < 3) {
+			throw new Error('Failed');
+		}
+
+		return value;
+	}, {retry: {minTimeout: 10}});
+
+	assert.equal(await debounced(1), 1);
+	assert.equal(attempts, 3);
+	assert.deepEqual(debounced.lastResult, {status: 'fulfilled', value: 1});
+});
+
+test('.promise() with retry option - queued calls supersede the retried arguments', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		if (value === 1) {
+			throw new Error('Failed');
+		}
+
+		return value;
+	}, {after: true, retry: {minTimeout: 1000, jitter: false}});
+
+	const promise1 = debounced(1);
+	await delay(10); // The first attempt failed, and the retry is waiting
+	const promise2 = debounced(2);
+
+	assert.deepEqual(await Promise.all([promise1, promise2]), [2, 2]);
+	assert.deepEqual(calls, [1, 2]);
+});
+
+test('.promise() with retry option - cancel stops retrying', async () => {
+	let attempts = 0;
+
+	const debounced = pDebounce.promise(async () => {
+		attempts++;
+		throw new Error('Failed');
+	}, {retry: {minTimeout: 1000, jitter: false}});
+
+	const promise = debounced();
+	await delay(10);
+	const reason = new Error('Stopped');
+	debounced.cancel(reason);
+
+	await assert.rejects(promise, {name: 'DebounceCancelledError', cause: reason});
+	assert.equal(attempts, 1);
+	assert.equal(debounced.isRunning, false);
+});
+
+test('.promise() with retry option - queued calls with accumulate option keep the failed arguments', async () => {
+	const clock = createVirtualClock();
+	const calls = [];
+
+	const debounced = pDebounce.promise(async ids => {
+		calls.push(ids);
+		if (calls.length === 1) {
+			throw new Error('Failed');
+		}
+
+		return ids;
+	}, {
+		after: true,
+		clock,
+		accumulate: ([previousIds], [nextIds]) => [[...previousIds, ...nextIds]],
+		retry: {minTimeout: 1000, jitter: false},
+	});
+
+	const promise1 = debounced([1]);
+	await clock.advance(0); // The first attempt failed, and the retry is waiting
+	const promise2 = debounced([2]);
+	await clock.runAll();
+
+	assert.deepEqual(await Promise.all([promise1, promise2]), [[1, 2], [1, 2]]);
+	assert.deepEqual(calls, [[1], [1, 2]]);
+});
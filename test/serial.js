@@ -0,0 +1,111 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('serial option - defers the execution until the running one settles', async () => {
+	const calls = [];
+	let running = 0;
+	let maxRunning = 0;
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		running++;
+		maxRunning = Math.max(maxRunning, running);
+		await delay(100);
+		running--;
+		return value;
+	}, 20, {serial: true});
+
+	const promise1 = debounced(1);
+	await delay(40); // The first execution is running
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+	await delay(40); // The timer fired while the first execution is still running
+
+	assert.equal(debounced.isPending, true);
+	assert.deepEqual(calls, [1]);
+
+	assert.deepEqual(await Promise.all([promise1, promise2, promise3]), [1, 3, 3]);
+	assert.deepEqual(calls, [1, 3]);
+	assert.equal(maxRunning, 1);
+	assert.equal(debounced.isPending, false);
+});
+
+test('serial option - with before option', async () => {
+	const calls = [];
+	let running = 0;
+	let maxRunning = 0;
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		running++;
+		maxRunning = Math.max(maxRunning, running);
+		await delay(100);
+		running--;
+		return value;
+	}, 20, {before: true, serial: true});
+
+	const promise1 = debounced(1);
+	await delay(40); // The leading execution is running, and its burst ended
+	const promise2 = debounced(2);
+
+	assert.deepEqual(await Promise.all([promise1, promise2]), [1, 2]);
+	assert.deepEqual(calls, [1, 2]);
+	assert.equal(maxRunning, 1);
+});
+
+test('serial option - later calls of a burst get the leading value', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		await delay(100);
+		return value;
+	}, 20, {before: true, serial: true});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2)]), [1, 1]);
+	assert.deepEqual(calls, [1]);
+});
+
+test('serial option - flush runs the deferred call after the running one', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		await delay(100);
+		return value;
+	}, 20, {serial: true});
+
+	const promise1 = debounced(1);
+	await delay(40);
+	const promise2 = debounced(2);
+
+	assert.equal(await debounced.flush(), 2);
+	assert.deepEqual(await Promise.all([promise1, promise2]), [1, 2]);
+	assert.deepEqual(calls, [1, 2]);
+});
+
+test('serial option - signal option rejects the deferred call', async () => {
+	const controller = new AbortController();
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		await delay(100);
+		return value;
+	}, 20, {serial: true, signal: controller.signal});
+
+	const promise1 = debounced(1);
+	await delay(40);
+	const promise2 = debounced(2);
+	await delay(40); // The second call is deferred
+	controller.abort();
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.equal(await promise1, 1);
+	assert.deepEqual(calls, [1]);
+	assert.equal(debounced.isPending, false);
+});
@@ -0,0 +1,124 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import {createVirtualClock} from '../testing.js';
+import pDebounce, {
+	SupersededError,
+} from '../index.js';
+
+test('superseded option - reject rejects the callers whose arguments were discarded', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 50, {superseded: 'reject'});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+
+	await assert.rejects(promise1, SupersededError);
+	await assert.rejects(promise2, {name: 'SupersededError', message: 'The call was superseded by a newer call'});
+	assert.equal(calls.length, 0); // Rejected right away, without waiting for the execution
+
+	assert.equal(await promise3, 3);
+	assert.deepEqual(calls, [3]);
+});
+
+test('superseded option - undefined resolves the callers whose arguments were discarded with undefined', async () => {
+	const debounced = pDebounce(async value => value, 50, {superseded: 'undefined'});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2), debounced(3)]), [undefined, undefined, 3]);
+});
+
+test('superseded option - share is the default', async () => {
+	const debounced = pDebounce(async value => value, 50, {superseded: 'share'});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2)]), [2, 2]);
+});
+
+test('superseded option - no arguments are discarded with accumulate', async () => {
+	const debounced = pDebounce(async values => values, 50, {
+		superseded: 'reject',
+		accumulate: ([previous], [next]) => [[...previous, ...next]],
+	});
+
+	assert.deepEqual(await Promise.all([debounced([1]), debounced([2])]), [[1, 2], [1, 2]]);
+});
+
+test('superseded option - calls after the leading call are superseded without a trailing call', async () => {
+	const debounced = pDebounce(async value => value, 50, {before: true, superseded: 'reject'});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+
+	await assert.rejects(promise2, SupersededError);
+	await assert.rejects(promise3, SupersededError);
+	assert.equal(await promise1, 1);
+});
+
+test('superseded option - with before and after options', async () => {
+	const debounced = pDebounce(async value => value, 50, {before: true, after: true, superseded: 'undefined'});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2), debounced(3)]), [1, undefined, 3]);
+});
+
+test('superseded option - callers of a failed execution superseded while waiting to retry', async () => {
+	const clock = createVirtualClock();
+
+	const debounced = pDebounce(async value => {
+		if (value === 1) {
+			throw new Error('Failed');
+		}
+
+		return value;
+	}, 50, {clock, superseded: 'reject', retry: {minTimeout: 1000, jitter: false}});
+
+	const promise1 = debounced(1);
+	const assertion = assert.rejects(promise1, SupersededError);
+	await clock.advance(50); // The first attempt failed, and the retry is waiting
+	const promise2 = debounced(2);
+	await clock.runAll();
+
+	await assertion;
+	assert.equal(await promise2, 2);
+});
+
+test('superseded option - validates the value', () => {
+	assert.throws(() => pDebounce(async () => {}, 50, {superseded: 'ignore'}), {
+		name: 'TypeError',
+		message: 'Expected `superseded` to be `\'share\'`, `\'reject\'`, or `\'undefined\'`',
+	});
+
+	assert.throws(() => pDebounce.promise(async () => {}, {superseded: 'ignore'}), TypeError);
+});
+
+test('.promise() with superseded option - rejects the callers of a replaced queued call', async () => {
+	const calls = [];
+
+	const debounced = pDebounce.promise(async value => {
+		calls.push(value);
+		await delay(50);
+		return value;
+	}, {after: true, superseded: 'reject'});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced(2);
+	const promise3 = debounced(3);
+
+	await assert.rejects(promise2, SupersededError);
+	assert.equal(await promise1, 1);
+	assert.equal(await promise3, 3);
+	assert.deepEqual(calls, [1, 3]);
+});
+
+test('.promise() with superseded option - undefined resolves the callers of a replaced queued call', async () => {
+	const debounced = pDebounce.promise(async value => {
+		await delay(50);
+		return value;
+	}, {after: true, superseded: 'undefined'});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2), debounced(3)]), [1, undefined, 3]);
+});
@@ -0,0 +1,98 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {createVirtualClock} from '../testing.js';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('wait function - computes the wait from the latest arguments', async () => {
+	const calls = [];
+	const clock = createVirtualClock();
+
+	const debounced = pDebounce(async query => {
+		calls.push(query);
+		return query;
+	}, ({arguments: [query]}) => query.length > 3 ? 100 : 300, {clock});
+
+	const promise1 = debounced('ab');
+	await clock.advance(200);
+	assert.deepEqual(calls, []);
+
+	const promise2 = debounced('abcd');
+	await clock.advance(100);
+	assert.deepEqual(calls, ['abcd']);
+	assert.deepEqual(await Promise.all([promise1, promise2]), ['abcd', 'abcd']);
+});
+
+test('wait function - receives the call count and elapsed time of the burst', async () => {
+	const contexts = [];
+	const clock = createVirtualClock();
+
+	const debounced = pDebounce(async value => value, context => {
+		contexts.push(context);
+		return context.callCount * 100;
+	}, {clock});
+
+	const promises = [debounced(1)];
+	await clock.advance(50);
+	promises.push(debounced(2));
+	await clock.advance(150);
+	promises.push(debounced(3));
+	await clock.runAll();
+
+	assert.deepEqual(await Promise.all(promises), [3, 3, 3]);
+	assert.deepEqual(contexts, [
+		{arguments: [1], callCount: 1, elapsed: 0},
+		{arguments: [2], callCount: 2, elapsed: 50},
+		{arguments: [3], callCount: 3, elapsed: 200},
+	]);
+	assert.equal(clock.now(), 500);
+
+	// A new burst starts over
+	const promise = debounced(4);
+	assert.deepEqual(contexts.at(-1), {arguments: [4], callCount: 1, elapsed: 0});
+	await clock.runAll();
+	assert.equal(await promise, 4);
+});
+
+test('wait function - with before option and signal', async () => {
+	const calls = [];
+	const clock = createVirtualClock();
+	const controller = new AbortController();
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, () => 100, {before: true, signal: controller.signal, clock});
+
+	assert.equal(await debounced(1), 1);
+	const promise = debounced(2);
+	controller.abort();
+
+	await assert.rejects(promise, DebounceCancelledError);
+	assert.deepEqual(calls, [1]);
+});
+
+test('wait function - invalid return value rejects the call', async () => {
+	let count = 0;
+
+	const debounced = pDebounce(async value => {
+		count++;
+		return value;
+	}, ({arguments: [value]}) => value === 'invalid' ? Number.NaN : 20);
+
+	const promise = debounced('valid');
+	await assert.rejects(debounced('invalid'), {name: 'TypeError', message: 'Expected the `wait` function to return a finite number'});
+	assert.equal(await promise, 'valid');
+	assert.equal(count, 1);
+});
+
+test('wait function - with batch', async () => {
+	const clock = createVirtualClock();
+	const batched = pDebounce.batch(async argumentsList => argumentsList.map(([value]) => value), ({callCount}) => callCount * 100, {clock});
+
+	const promises = [batched(1), batched(2)];
+	await clock.advance(199);
+	await clock.advance(1);
+	assert.deepEqual(await Promise.all(promises), [1, 2]);
+});
@@ -0,0 +1,133 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import {createVirtualClock} from '../testing.js';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('microtask wait - coalesces calls made in the same synchronous turn', async () => {
+	const executionOrder = [];
+
+	const debounced = pDebounce(async value => {
+		executionOrder.push(`debounced-${value}`);
+		return value;
+	}, 'microtask');
+
+	const promises = [debounced(1), debounced(2), debounced(3)];
+	executionOrder.push('sync');
+	setTimeout(() => {
+		executionOrder.push('timeout');
+	}, 0);
+
+	assert.deepEqual(await Promise.all(promises), [3, 3, 3]);
+	await delay(1);
+	assert.deepEqual(executionOrder, ['sync', 'debounced-3', 'timeout']);
+
+	// A later turn starts a new batch
+	assert.equal(await debounced(4), 4);
+});
+
+test('microtask wait - with before option and signal', async () => {
+	const calls = [];
+	const controller = new AbortController();
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 'microtask', {before: true, after: true, signal: controller.signal});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2), debounced(3)]), [1, 3, 3]);
+	assert.deepEqual(calls, [1, 3]);
+
+	const promise1 = debounced(4);
+	const promise2 = debounced(5);
+	controller.abort();
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.equal(await promise1, 4);
+	assert.deepEqual(calls, [1, 3, 4]);
+});
+
+test('microtask wait - with before option settles the later calls with the value of the leading call', async () => {
+	const calls = [];
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		await delay(10);
+		return value;
+	}, 'microtask', {before: true});
+
+	assert.deepEqual(await Promise.all([debounced(1), debounced(2), debounced(3)]), [1, 1, 1]);
+	assert.deepEqual(calls, [1]);
+});
+
+test('microtask wait - cancel prevents the execution', async () => {
+	let count = 0;
+	const debounced = pDebounce(async () => {
+		count++;
+	}, 'microtask');
+
+	const promise = debounced();
+	debounced.cancel();
+
+	await assert.rejects(promise, DebounceCancelledError);
+	assert.equal(count, 0);
+});
+
+test('frame wait - falls back to a timer without requestAnimationFrame', async () => {
+	const calls = [];
+	const clock = createVirtualClock();
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 'frame', {clock});
+
+	const promise = Promise.all([debounced(1), debounced(2)]);
+	await clock.advance(15);
+	assert.deepEqual(calls, []);
+
+	await clock.advance(1);
+	assert.deepEqual(await promise, [2, 2]);
+	assert.deepEqual(calls, [2]);
+});
+
+test('frame wait - uses requestAnimationFrame when available', async () => {
+	const frameCallbacks = new Map();
+	let nextFrameId = 1;
+
+	globalThis.requestAnimationFrame = callback => {
+		const frameId = nextFrameId++;
+		frameCallbacks.set(frameId, callback);
+		return frameId;
+	};
+
+	globalThis.cancelAnimationFrame = frameId => {
+		frameCallbacks.delete(frameId);
+	};
+
+	try {
+		const debounced = pDebounce(async value => value, 'frame');
+		const promise = Promise.all([debounced(1), debounced(2)]);
+
+		// The frame requested by the first call was cancelled by the second one
+		assert.equal(frameCallbacks.size, 1);
+
+		for (const callback of frameCallbacks.values()) {
+			callback(performance.now());
+		}
+
+		assert.deepEqual(await promise, [2, 2]);
+	} finally {
+		delete globalThis.requestAnimationFrame;
+		delete globalThis.cancelAnimationFrame;
+	}
+});
+
+test('wait modes - validation', async () => {
+	assert.throws(() => pDebounce(async () => {}, 'macrotask'), TypeError);
+	assert.doesNotThrow(() => pDebounce(async () => {}, 'microtask'));
+	assert.doesNotThrow(() => pDebounce(async () => {}, 'frame'));
+	assert.doesNotThrow(() => pDebounce.batch(async () => [], 'microtask'));
+});
@@ -0,0 +1,226 @@
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import {setTimeout as delay} from 'node:timers/promises';
+import pDebounce, {
+	DebounceCancelledError,
+} from '../index.js';
+
+test('.withSignal() - aborting rejects only that caller', async () => {
+	const calls = [];
+	const controller = new AbortController();
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 50);
+
+	const promise1 = debounced(1);
+	const promise2 = debounced.withSignal(controller.signal)(2);
+	const promise3 = debounced(3);
+
+	controller.abort();
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.deepEqual(await Promise.all([promise1, promise3]), [3, 3]);
+	assert.deepEqual(calls, [3]);
+});
+
+test('.withSignal() - the arguments of an aborted caller are not used', async () => {
+	const calls = [];
+	const controller = new AbortController();
+
+	const debounced = pDebounce(async value => {
+		calls.push(value);
+		return value;
+	}, 50);
+
+	const promise1 = debounced(1);
+	const promise2 = debounced.withSignal(controller.signal)(2);
+	controller.abort();
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.equal(await promise1, 1);
+	assert.deepEqual(calls, [1]);
+});
+
+test('.withSignal() - the arguments of an aborted caller are not accumulated', async () => {
+	const calls = [];
+	const controller = new AbortController();
+
+	const debounced = pDebounce(async (...values) => {
+		calls.push(values);
+		return values;
+	}, 50, {accumulate: (previousValues, nextValues) => [...previousValues, ...nextValues]});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced.withSignal(controller.signal)(2);
+	const promise3 = debounced(3);
+	controller.abort();
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	assert.deepEqual(await Promise.all([promise1, promise3]), [[1, 3], [1, 3]]);
+	assert.deepEqual(calls, [[1, 3]]);
+});
+
+test('.withSignal() - last caller leaving clears the pending timer', async () => {
+	let count = 0;
+	const controller1 = new AbortController();
+	const controller2 = new AbortController();
+
+	const debounced = pDebounce(async value => {
+		count++;
+		return value;
+	}, 50);
+
+	const promise1 = debounced.withSignal(controller1.signal)(1);
+	const promise2 = debounced.withSignal(controller2.signal)(2);
+
+	controller1.abort();
+	assert.equal(debounced.isPending, true);
+	const reason = new Error('Unmounted');
+	controller2.abort(reason);
+	assert.equal(debounced.isPending, false);
+
+	await assert.rejects(promise1, DebounceCancelledError);
+	await assert.rejects(promise2, {cause: reason});
+	await delay(100);
+	assert.equal(count, 0);
+
+	// Still usable afterwards
+	assert.equal(await debounced(3), 3);
+});
+
+test('.withSignal() - already aborted signal rejects immediately', async () => {
+	let count = 0;
+	const debounced = pDebounce(async () => {
+		count++;
+	}, 20);
+
+	await assert.rejects(debounced.withSignal(AbortSignal.abort())(), DebounceCancelledError);
+	assert.equal(debounced.isPending, false);
+	await delay(50);
+	assert.equal(count, 0);
+});
+
+test('.withSignal() - coexists with the signal option and preserves this', async () => {
+	const controller = new AbortController();
+	const callController = new AbortController();
+
+	const debounced = pDebounce(async function () {
+		return this;
+	}, 50, {signal: controller.signal});
+
+	const object = {};
+	const promise1 = debounced.withSignal(callController.signal).call(object);
+	const promise2 = debounced.call(object);
+
+	controller.abort();
+
+	await assert.rejects(promise1, DebounceCancelledError);
+	await assert.rejects(promise2, DebounceCancelledError);
+
+	const object2 = {};
+	const debounced2 = pDebounce(async function () {
+		return this;
+	}, 20);
+	assert.equal(await debounced2.withSignal(callController.signal).call(object2), object2);
+});
+
+test('.withSignal() - removes its abort listener once settled', async () => {
+	const signal = new EventTarget();
+	let listenerCount = 0;
+
+	// A minimal signal that counts its listeners
+	signal.aborted = false;
+	signal.throwIfAborted = () => {};
+	const {addEventListener, removeEventListener} = signal;
+	signal.addEventListener = (...arguments_) => {
+		listenerCount++;
+		addEventListener.apply(signal, arguments_);
+	};
+
+	signal.removeEventListener = (...arguments_) => {
+		listenerCount--;
+		removeEventListener.apply(signal, arguments_);
+	};
+
+	const debounced = pDebounce(async value => value, 20, {before: true});
+
+	assert.deepEqual(await Promise.all([
+		debounced.withSignal(signal)(1),
+		debounced.withSignal(signal)(2),
+	]), [1, 1]);
+	assert.equal(listenerCount, 0);
+});
+
+test('.withSignal() - keyed', async () => {
+	const controller = new AbortController();
+	const debounced = pDebounce.keyed(async id => id, 50);
+
+	const promiseA = debounced.withSignal(controller.signal)('a');
+	const promiseB = debounced('b');
+	controller.abort();
+
+	await assert.rejects(promiseA, DebounceCancelledError);
+	assert.equal(await promiseB, 'b');
+	assert.equal(debounced.size, 0);
+});
+
+test('.withSignal() - the arguments of a call rejected by accumulate are not used after an abort', async () => {
+	const calls = [];
+	const controller = new AbortController();
+
+	const debounced = pDebounce(async (...values) => {
+		calls.push(values);
+		return values;
+	}, 50, {
+		accumulate(previousValues, nextValues) {
+			if (nextValues.includes('bad')) {
+				throw new Error('Invalid value');
+			}
+
+			return [...previousValues, ...nextValues];
+		},
+	});
+
+	const promise1 = debounced(1);
+	await assert.rejects(debounced('bad'), {message: 'Invalid value'});
+	const promise3 = debounced.withSignal(controller.signal)(3);
+	controller.abort();
+
+	await assert.rejects(promise3, DebounceCancelledError);
+	assert.deepEqual(await promise1, [1]);
+	assert.deepEqual(calls, [[1]]);
+});
+
+test('.withSignal() - accumulate throwing after an abort rejects the remaining callers', async () => {
+	let count = 0;
+	const controller = new AbortController();
+
+	const debounced = pDebounce(async (...values) => {
+		count++;
+		return values;
+	}, 50, {
+		accumulate(previousValues, nextValues) {
+			// Only fails for the arguments left once the second call aborted
+			if (previousValues.length === 1 && nextValues[0] === 3) {
+				throw new Error('Invalid value');
+			}
+
+			return [...previousValues, ...nextValues];
+		},
+	});
+
+	const promise1 = debounced(1);
+	const promise2 = debounced.withSignal(controller.signal)(2);
+	const promise3 = debounced(3);
+	controller.abort();
+
+	await assert.rejects(promise2, DebounceCancelledError);
+	await assert.rejects(promise1, {message: 'Invalid value'});
+	await assert.rejects(promise3, {message: 'Invalid value'});
+	assert.equal(debounced.isPending, false);
+
+	await delay(100);
+	assert.equal(count, 0);
+});
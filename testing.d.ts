@@ -0,0 +1,47 @@
+import type {Clock} from './index.js';
+
+export type VirtualClock = Clock & {
+	/**
+	The number of timers that have not fired or been cleared yet.
+	*/
+	readonly pendingTimers: number;
+
+	/**
+	Move the time forward by `milliseconds`, firing the timers that become due, in order.
+
+	Pending promise jobs are run before and after each timer, so that calls settle and timers they schedule fire within the same `advance()`.
+	*/
+	advance(milliseconds: number): Promise<void>;
+
+	/**
+	Fire all timers, including those scheduled while running, moving the time forward to each of them.
+
+	@param options.limit - The maximum number of timers to fire, to guard against infinite loops. Default: `1000`.
+	*/
+	runAll(options?: {readonly limit?: number}): Promise<void>;
+};
+
+/**
+Create a virtual clock to pass as the `clock` option, so debounced functions can be tested deterministically without waiting for real time or patching the global timers.
+
+@param options.now - The initial time. Default: `0`.
+
+@example
+```
+import {test} from 'node:test';
+import {strict as assert} from 'node:assert';
+import pDebounce from 'p-debounce';
+import {createVirtualClock} from 'p-debounce/testing';
+
+test('debounces', async () => {
+	const clock = createVirtualClock();
+	const debounced = pDebounce(async value => value, 1000, {clock});
+
+	const promise = debounced(1);
+	await clock.advance(1000);
+
+	assert.equal(await promise, 1);
+});
+```
+*/
+export function createVirtualClock(options?: {readonly now?: number}): VirtualClock;
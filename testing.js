@@ -0,0 +1,81 @@
+// Let pending promise jobs run, so that timers they schedule are registered before time moves on
+const flushPromises = () => new Promise(resolve => {
+	(globalThis.setImmediate ?? globalThis.setTimeout)(resolve);
+});
+
+export const createVirtualClock = ({now: startTime = 0} = {}) => {
+	let currentTime = startTime;
+	let nextTimeoutId = 1;
+	const timers = new Map(); // Timeout ID → {time, callback}
+
+	// The earliest timer, with timers due at the same time firing in the order they were created
+	const getNextTimer = () => {
+		let nextTimer;
+
+		for (const [timeoutId, {time, callback}] of timers) {
+			if (!nextTimer || time < nextTimer.time) {
+				nextTimer = {timeoutId, time, callback};
+			}
+		}
+
+		return nextTimer;
+	};
+
+	const fire = async ({timeoutId, time, callback}) => {
+		timers.delete(timeoutId);
+		currentTime = Math.max(currentTime, time);
+		callback();
+		await flushPromises();
+	};
+
+	return {
+		setTimeout(callback, milliseconds = 0) {
+			const timeoutId = nextTimeoutId++;
+			timers.set(timeoutId, {time: currentTime + Math.max(milliseconds, 0), callback});
+			return timeoutId;
+		},
+
+		clearTimeout(timeoutId) {
+			timers.delete(timeoutId);
+		},
+
+		now() {
+			return currentTime;
+		},
+
+		get pendingTimers() {
+			return timers.size;
+		},
+
+		async advance(milliseconds) {
+			if (!Number.isFinite(milliseconds) || milliseconds < 0) {
+				throw new TypeError('Expected `milliseconds` to be a non-negative finite number');
+			}
+
+			const targetTime = currentTime + milliseconds;
+			await flushPromises();
+
+			let nextTimer = getNextTimer();
+			while (nextTimer && nextTimer.time <= targetTime) {
+				// eslint-disable-next-line no-await-in-loop
+				await fire(nextTimer);
+				nextTimer = getNextTimer();
+			}
+
+			currentTime = targetTime;
+		},
+
+		async runAll({limit = 1000} = {}) {
+			await flushPromises();
+
+			for (let count = 0; timers.size > 0; count++) {
+				if (count >= limit) {
+					throw new Error(`Aborted after running ${limit} timers, assuming an infinite loop`);
+				}
+
+				// eslint-disable-next-line no-await-in-loop
+				await fire(getNextTimer());
+			}
+		},
+	};
+};